@@ -0,0 +1,55 @@
+const PERMISSIONS = [
+  'member.view',
+  'member.manage',
+  'member.move',
+  'credit.adjust',
+  'transaction.reverse',
+  'transaction.reverse.any',
+  'agent.create',
+  'masteragent.create',
+  'superadmin.create',
+  'agent.float.adjust',
+  'agent.tree.view',
+  'agent.stats.view',
+  'invite.manage',
+  'commission.manage',
+  'commission.settle',
+  'report.view',
+  'report.manage',
+  'session.manage',
+  'role.manage',
+  'audit.view',
+  'job.manage',
+  'ledger.reconcile',
+  'webhook.manage',
+  'scope.global'
+];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  superadmin: ['*'],
+  masteragent: [
+    'member.view',
+    'member.manage',
+    'credit.adjust',
+    'transaction.reverse',
+    'agent.create',
+    'agent.tree.view',
+    'agent.stats.view',
+    'report.view',
+    'invite.manage'
+  ],
+  agent: [
+    'member.view',
+    'member.manage',
+    'credit.adjust',
+    'transaction.reverse',
+    'agent.tree.view',
+    'agent.stats.view',
+    'report.view',
+    'invite.manage'
+  ],
+  member: [],
+  staff: []
+};
+
+module.exports = { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS };
\ No newline at end of file
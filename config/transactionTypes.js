@@ -0,0 +1,25 @@
+// What a ledger entry was for. The sign of the balance change is stored
+// separately as `direction`, since some types (a rollback) can go either way.
+const TRANSACTION_TYPES = [
+  'adjustment',
+  'float_transfer',
+  'deposit',
+  'withdrawal',
+  'commission',
+  'bet',
+  'win',
+  'refund',
+  'rollback',
+  'reversal'
+];
+
+// Entries written by game providers through the wallet API.
+const GAME_TRANSACTION_TYPES = ['bet', 'win', 'refund', 'rollback'];
+
+// Entries an operator may undo with a reversal. Game entries are undone by
+// the provider (refund or rollback) and payouts through their statement.
+const REVERSIBLE_TRANSACTION_TYPES = ['adjustment', 'deposit', 'withdrawal'];
+
+const DIRECTIONS = ['credit', 'debit'];
+
+module.exports = { TRANSACTION_TYPES, GAME_TRANSACTION_TYPES, REVERSIBLE_TRANSACTION_TYPES, DIRECTIONS };
\ No newline at end of file
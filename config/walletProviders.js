@@ -0,0 +1,26 @@
+// Game providers allowed to call the wallet API, configured as
+// WALLET_PROVIDERS="code:secret,othercode:othersecret". Each provider signs its
+// requests with its own shared secret.
+const parseProviders = (value = '') => {
+  const providers = new Map();
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`Invalid WALLET_PROVIDERS entry: ${entry.slice(0, 20)}`);
+    }
+    providers.set(entry.slice(0, separator), entry.slice(separator + 1));
+  });
+
+  return providers;
+};
+
+const WALLET_PROVIDERS = parseProviders(process.env.WALLET_PROVIDERS);
+
+const WALLET_CURRENCY = process.env.WALLET_CURRENCY || 'THB';
+
+// How far a request's timestamp may be from our clock before it is refused,
+// which bounds how long a captured request could be replayed.
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.WALLET_SIGNATURE_TOLERANCE_SECONDS, 10) || 300;
+
+module.exports = { WALLET_PROVIDERS, WALLET_CURRENCY, SIGNATURE_TOLERANCE_SECONDS };
\ No newline at end of file
@@ -0,0 +1,13 @@
+// Events a webhook subscription can receive. Each is written to the outbox in
+// the same transaction as the change it describes.
+const WEBHOOK_EVENTS = [
+  'credit.changed',
+  'member.created',
+  'commission.accrued',
+  'commission.clawed_back'
+];
+
+// Sent on request to check a receiver; never written to the outbox.
+const TEST_EVENT = 'webhook.test';
+
+module.exports = { WEBHOOK_EVENTS, TEST_EVENT };
\ No newline at end of file
@@ -0,0 +1,106 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const { getEffectivePermissions, can } = require('../services/permissionService');
+const { isAgentRole, isAncestor } = require('../services/hierarchyService');
+
+const authenticate = async (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked, please log in again' });
+    }
+  } catch (err) {
+    console.error('Session check error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.user = decoded;
+  next();
+};
+
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    const user = await User.findById(req.user.id).select('role staffRole permissionOverrides');
+    req.permissions = user ? await getEffectivePermissions(user) : new Set();
+  }
+  return req.permissions;
+};
+
+// Accepts several permissions when any one of them is enough.
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const granted = await loadPermissions(req);
+    if (!permissions.some(permission => can(granted, permission))) {
+      return res.status(403).json({ error: `Missing permission: ${permissions.join(' or ')}` });
+    }
+    next();
+  } catch (err) {
+    console.error('Permission check error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Restricts `req.params[paramName]` to users below the caller in the agent
+// hierarchy, unless the caller holds the global scope permission.
+const checkHierarchyAccess = (paramName = 'id') => async (req, res, next) => {
+  const targetId = req.params[paramName];
+  if (!mongoose.isValidObjectId(targetId)) {
+    return res.status(400).json({ error: 'Invalid ID format' });
+  }
+
+  try {
+    const granted = await loadPermissions(req);
+    if (can(granted, 'scope.global')) {
+      return next();
+    }
+
+    if (isAgentRole(req.user.role) && await isAncestor(req.user.id, targetId)) {
+      return next();
+    }
+
+    res.status(403).json({ error: 'Access denied to this member' });
+  } catch (err) {
+    console.error('Hierarchy access check error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Gates the member self-service area. The account is re-read on every request
+// so a suspension or a role change applies immediately, and it is exposed as
+// `req.member` so handlers never look users up from request input.
+const requireMember = async (req, res, next) => {
+  try {
+    const member = await User.findById(req.user.id).select('-password -__v');
+    if (!member || member.role !== 'member') {
+      return res.status(403).json({ error: 'This area is only available to members' });
+    }
+    if (member.status !== 'active') {
+      return res.status(403).json({ error: `Account is ${member.status}` });
+    }
+
+    req.member = member;
+    next();
+  } catch (err) {
+    console.error('Member check error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+module.exports = {
+  authenticate,
+  loadPermissions,
+  requirePermission,
+  checkHierarchyAccess,
+  requireMember
+};
\ No newline at end of file
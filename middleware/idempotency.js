@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const stableStringify = require('../utils/stableStringify');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+const LEASE_MINUTES = parseInt(process.env.IDEMPOTENCY_LEASE_MINUTES, 10) || 5;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+// A request that died without answering leaves its key processing. Once the
+// lease has run out a retry of the same request may take the key over.
+const takeOverExpiredLease = async (existing, requestHash, leaseExpiresAt) => {
+  if (existing.status !== 'processing' || existing.requestHash !== requestHash) return false;
+
+  const result = await IdempotencyKey.updateOne(
+    { _id: existing._id, status: 'processing', leaseExpiresAt: { $lte: new Date() } },
+    { leaseExpiresAt }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Must run after authenticate: keys are scoped to the authenticated user so two
+// agents can never collide on (or replay) each other's key.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const requestHash = hashRequest(req);
+  const leaseExpiresAt = new Date(Date.now() + LEASE_MINUTES * 60 * 1000);
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      user: req.user.id,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      leaseExpiresAt,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      console.error('Idempotency key error:', err);
+      return res.status(500).json({ error: 'Server error while checking idempotency key' });
+    }
+
+    let existing;
+    let takenOver;
+    try {
+      existing = await IdempotencyKey.findOne({ user: req.user.id, key });
+      takenOver = existing ? await takeOverExpiredLease(existing, requestHash, leaseExpiresAt) : false;
+    } catch (lookupErr) {
+      console.error('Idempotency key error:', lookupErr);
+      return res.status(500).json({ error: 'Server error while checking idempotency key' });
+    }
+
+    if (!takenOver) {
+      if (!existing) {
+        return res.status(409).json({ error: 'Idempotency key was just released, please retry' });
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({ error: 'Idempotency-Key was already used with a different request' });
+      }
+
+      if (existing.status === 'processing') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  }
+
+  // A 4xx is a validation or business refusal: nothing was written, and
+  // refusals such as insufficient float may clear up, so the key is released
+  // and a retry runs the request again. Every other answer is stored and
+  // replayed, 5xx included, since a server error may come after the money
+  // moved. A handler that never answers through res.json keeps the key
+  // processing until its lease runs out.
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const settle = res.statusCode >= 400 && res.statusCode < 500
+      ? IdempotencyKey.deleteOne({ user: req.user.id, key })
+      : IdempotencyKey.updateOne(
+        { user: req.user.id, key },
+        { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+      );
+
+    settle
+      .catch(err => console.error('Failed to store idempotent response:', err))
+      .finally(() => originalJson(body));
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotency };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { WALLET_PROVIDERS, SIGNATURE_TOLERANCE_SECONDS } = require('../config/walletProviders');
+
+// Providers sign `<timestamp>.<raw request body>` with HMAC-SHA256 using their
+// shared secret and send it hex-encoded in X-Signature, together with
+// X-Provider-Code and X-Timestamp (Unix seconds). The raw body is kept by the
+// JSON parser in server.js, because re-serialising the parsed body would not
+// reproduce the exact bytes that were signed.
+const verifyProviderSignature = (req, res, next) => {
+  const code = req.header('x-provider-code');
+  const timestamp = req.header('x-timestamp');
+  const signature = req.header('x-signature');
+
+  const secret = code && WALLET_PROVIDERS.get(code);
+  if (!secret) {
+    return res.status(401).json({ error: 'Unknown provider', code: 'INVALID_PROVIDER' });
+  }
+
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(Date.now() / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return res.status(401).json({ error: 'Request timestamp is missing or outside the allowed window', code: 'INVALID_TIMESTAMP' });
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(req.rawBody || '')
+    .digest();
+  const received = Buffer.from(typeof signature === 'string' ? signature : '', 'hex');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ error: 'Invalid signature', code: 'INVALID_SIGNATURE' });
+  }
+
+  req.provider = code;
+  next();
+};
+
+module.exports = { verifyProviderSignature };
\ No newline at end of file
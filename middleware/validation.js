@@ -0,0 +1,18 @@
+const { validationResult } = require('express-validator');
+
+// Answers 400 with the express-validator errors of the request, if any.
+// Returns whether it answered, so handlers can `if (sendValidationErrors(req, res)) return;`.
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    errors: errors.array().map(err => ({
+      field: err.path,
+      message: err.msg
+    }))
+  });
+  return true;
+};
+
+module.exports = { sendValidationErrors };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MONEY_SCHEMA_OPTIONS, moneyField } = require('../utils/money');
 
 const agentStatsSchema = new mongoose.Schema({
   agent: { 
@@ -9,8 +10,8 @@ const agentStatsSchema = new mongoose.Schema({
   },
   totalMembers: { type: Number, default: 0, min: 0 },
   activeMembers: { type: Number, default: 0, min: 0 },
-  totalCredit: { type: Number, default: 0, min: 0, set: v => Math.round(v * 100) / 100 },
-  totalProfit: { type: Number, default: 0, min: 0, set: v => Math.round(v * 100) / 100 },
+  totalCredit: moneyField({ default: 0, min: 0 }),
+  totalProfit: moneyField({ default: 0, min: 0 }),
   commissionRate: { 
     type: Number, 
     default: 0.05,
@@ -18,18 +19,18 @@ const agentStatsSchema = new mongoose.Schema({
     max: 0.2,
     set: v => Math.round(v * 100) / 100
   },
-  totalCommission: { type: Number, default: 0, min: 0, set: v => Math.round(v * 100) / 100 },
+  totalCommission: moneyField({ default: 0, min: 0 }),
   commissionHistory: [{
-    amount: { type: Number, required: true, set: v => Math.round(v * 100) / 100 },
+    amount: moneyField({ required: true }),
     date: { type: Date, default: Date.now },
     description: { type: String, trim: true, maxlength: 255 }
   }],
   lastUpdated: { type: Date, default: Date.now }
 }, {
-  timestamps: true
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
 });
 
-agentStatsSchema.index({ agent: 1 });
 agentStatsSchema.index({ lastUpdated: -1 });
 
 module.exports = mongoose.model('AgentStats', agentStatsSchema);
\ No newline at end of file
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  seq: { 
+    type: Number, 
+    required: true, 
+    unique: true 
+  },
+  actor: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  actorUsername: { type: String },
+  actorRole: { type: String },
+  action: { 
+    type: String, 
+    required: true,
+    trim: true
+  },
+  status: { 
+    type: String, 
+    enum: ['success', 'failure'], 
+    default: 'success' 
+  },
+  targetType: { type: String },
+  targetId: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  changes: [{ type: String }],
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  requestId: { type: String },
+  createdAt: { 
+    type: Date, 
+    required: true 
+  },
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true }
+}, {
+  versionKey: false,
+  minimize: false
+});
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(op => auditLogSchema.pre(op, rejectMutation));
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are immutable'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
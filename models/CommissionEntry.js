@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { MONEY_SCHEMA_OPTIONS, moneyField } = require('../utils/money');
+
+const commissionEntrySchema = new mongoose.Schema({
+  agent: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  member: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  sourceTransaction: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Transaction' 
+  },
+  transactionType: { type: String },
+  baseAmount: moneyField({ default: 0 }),
+  rate: { 
+    type: Number, 
+    default: 0 
+  },
+  amount: moneyField({ required: true }),
+  plan: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'CommissionPlan' 
+  },
+  planType: { 
+    type: String, 
+    enum: ['flat', 'tiered', 'by_type', 'legacy'] 
+  },
+  periodVolume: moneyField(),
+  kind: { 
+    type: String, 
+    enum: ['accrual', 'clawback', 'carryover'], 
+    default: 'accrual' 
+  },
+  status: { 
+    type: String, 
+    enum: ['pending', 'settled', 'paid'], 
+    default: 'pending' 
+  },
+  statement: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'CommissionStatement' 
+  },
+  clawbackOf: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'CommissionEntry' 
+  },
+  clawedBackBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'CommissionEntry' 
+  },
+  description: { 
+    type: String,
+    trim: true,
+    maxlength: 255
+  }
+}, {
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
+});
+
+commissionEntrySchema.index({ agent: 1, createdAt: -1 });
+commissionEntrySchema.index({ createdAt: -1 });
+commissionEntrySchema.index({ status: 1, agent: 1, createdAt: 1 });
+commissionEntrySchema.index({ statement: 1 });
+commissionEntrySchema.index({ sourceTransaction: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('CommissionEntry', commissionEntrySchema);
\ No newline at end of file
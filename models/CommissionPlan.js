@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { TRANSACTION_TYPES } = require('../config/transactionTypes');
+
+const commissionPlanSchema = new mongoose.Schema({
+  agent: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    default: null
+  },
+  name: { 
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  type: { 
+    type: String, 
+    enum: ['flat', 'tiered', 'by_type'], 
+    required: true 
+  },
+  rate: { 
+    type: Number, 
+    min: 0,
+    max: 1
+  },
+  tiers: [{
+    minVolume: { type: Number, required: true, min: 0 },
+    rate: { type: Number, required: true, min: 0, max: 1 }
+  }],
+  typeRates: [{
+    transactionType: { type: String, enum: TRANSACTION_TYPES, required: true },
+    rate: { type: Number, required: true, min: 0, max: 1 }
+  }],
+  transactionTypes: { 
+    type: [{ type: String, enum: TRANSACTION_TYPES }], 
+    default: ['bet'] 
+  },
+  volumePeriod: { 
+    type: String, 
+    enum: ['day', 'week', 'month'], 
+    default: 'month' 
+  },
+  effectiveFrom: { 
+    type: Date, 
+    required: true 
+  },
+  effectiveTo: { 
+    type: Date, 
+    default: null 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  }
+}, {
+  timestamps: true
+});
+
+commissionPlanSchema.index({ agent: 1, effectiveFrom: -1 });
+
+commissionPlanSchema.pre('validate', function(next) {
+  if (this.type === 'flat' && (this.rate === undefined || this.rate === null)) {
+    return next(new Error('Flat commission plans require a rate'));
+  }
+  if (this.type === 'tiered' && this.tiers.length === 0) {
+    return next(new Error('Tiered commission plans require at least one tier'));
+  }
+  if (this.type === 'by_type' && this.typeRates.length === 0) {
+    return next(new Error('Per-type commission plans require at least one transaction type rate'));
+  }
+  this.tiers.sort((a, b) => a.minVolume - b.minVolume);
+  next();
+});
+
+module.exports = mongoose.model('CommissionPlan', commissionPlanSchema);
\ No newline at end of file
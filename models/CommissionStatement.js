@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { MONEY_SCHEMA_OPTIONS, moneyField, addMoney } = require('../utils/money');
+
+const commissionStatementSchema = new mongoose.Schema({
+  agent: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  periodType: { 
+    type: String, 
+    enum: ['week', 'month', 'custom'], 
+    required: true 
+  },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  entryCount: { type: Number, default: 0 },
+  volume: moneyField({ default: 0 }),
+  grossAmount: moneyField({ default: 0 }),
+  clawbackAmount: moneyField({ default: 0 }),
+  adjustments: [{
+    amount: moneyField({ required: true }),
+    reason: { type: String, required: true, trim: true, maxlength: 255 },
+    adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    date: { type: Date, default: Date.now }
+  }],
+  totalAmount: moneyField({ default: 0 }),
+  status: { 
+    type: String, 
+    enum: ['draft', 'approved', 'paid'], 
+    default: 'draft' 
+  },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: { type: Date },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  paidAt: { type: Date },
+  payoutTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  carryoverEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'CommissionEntry' }
+}, {
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
+});
+
+commissionStatementSchema.index({ agent: 1, periodStart: 1, periodEnd: 1 }, { unique: true });
+commissionStatementSchema.index({ status: 1, periodStart: -1 });
+
+commissionStatementSchema.methods.recalculateTotal = function() {
+  this.totalAmount = addMoney(this.grossAmount, this.clawbackAmount, ...this.adjustments.map(a => a.amount));
+  return this.totalAmount;
+};
+
+module.exports = mongoose.model('CommissionStatement', commissionStatementSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { MONEY_SCHEMA_OPTIONS, moneyField } = require('../utils/money');
+
+const creditRequestSchema = new mongoose.Schema({
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The agent whose queue the request sits in: the member's parent when it was
+  // submitted, updated if the member is moved while it is pending.
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'withdrawal'],
+    required: true
+  },
+  amount: moneyField({ required: true, min: [1, 'Amount must be at least 0.01'] }),
+  method: {
+    type: String,
+    enum: ['bank_transfer', 'promptpay', 'truemoney', 'cash', 'other'],
+    required: true
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: { type: Date, required: true },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: { type: Date },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
+});
+
+creditRequestSchema.index({ agent: 1, status: 1, createdAt: -1 });
+creditRequestSchema.index({ member: 1, createdAt: -1 });
+creditRequestSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('CreditRequest', creditRequestSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { BUSINESS_TIMEZONE } = require('../utils/businessTime');
+const { MONEY_SCHEMA_OPTIONS, moneyField } = require('../utils/money');
 
 const dailyReportSchema = new mongoose.Schema({
   date: { 
@@ -6,29 +8,42 @@ const dailyReportSchema = new mongoose.Schema({
     required: true, 
     unique: true 
   },
+  day: { 
+    type: String, 
+    match: /^\d{4}-\d{2}-\d{2}$/ 
+  },
+  timezone: { type: String },
   totalMembers: { type: Number, default: 0, min: 0 },
   activeMembers: { type: Number, default: 0, min: 0 },
-  totalCreditMovement: { type: Number, default: 0, min: 0, set: v => Math.round(v * 100) / 100 },
-  totalCommission: { type: Number, default: 0, min: 0, set: v => Math.round(v * 100) / 100 },
+  totalCreditMovement: moneyField({ default: 0, min: 0 }),
+  totalCreditAdded: moneyField({ default: 0, min: 0 }),
+  totalCreditDeducted: moneyField({ default: 0, min: 0 }),
+  totalTransactions: { type: Number, default: 0, min: 0 },
+  totalCommission: moneyField({ default: 0, min: 0 }),
   agentReports: [{
     agent: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'User' 
     },
     members: { type: Number, default: 0 },
-    creditMovement: { type: Number, default: 0, set: v => Math.round(v * 100) / 100 },
-    commission: { type: Number, default: 0, set: v => Math.round(v * 100) / 100 }
+    activeMembers: { type: Number, default: 0 },
+    transactions: { type: Number, default: 0 },
+    creditMovement: moneyField({ default: 0 }),
+    creditAdded: moneyField({ default: 0 }),
+    creditDeducted: moneyField({ default: 0 }),
+    commission: moneyField({ default: 0 })
   }],
   systemNotes: { type: String, maxlength: 1000 }
 }, {
-  timestamps: true
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
 });
 
-dailyReportSchema.index({ date: 1 });
 dailyReportSchema.index({ createdAt: -1 });
 
 dailyReportSchema.virtual('formattedDate').get(function() {
   return new Date(this.date).toLocaleDateString('th-TH', {
+    timeZone: this.timezone || BUSINESS_TIMEZONE,
     year: 'numeric',
     month: 'long',
     day: 'numeric'
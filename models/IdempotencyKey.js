@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { 
+    type: String, 
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { 
+    type: String, 
+    enum: ['processing', 'completed'], 
+    default: 'processing'
+  },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  // While processing, the request holding the key is presumed alive until
+  // this time; after it a retry may take the key over.
+  leaseExpiresAt: { type: Date },
+  expiresAt: { 
+    type: Date, 
+    required: true 
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  code: { 
+    type: String, 
+    required: true, 
+    unique: true,
+    trim: true
+  },
+  kind: { 
+    type: String, 
+    enum: ['privileged', 'referral'], 
+    required: true 
+  },
+  role: { 
+    type: String, 
+    enum: ['superadmin', 'masteragent', 'agent', 'member', 'staff'], 
+    required: true 
+  },
+  staffRole: { 
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  maxUses: { 
+    type: Number, 
+    min: 1,
+    default: null
+  },
+  uses: { type: Number, default: 0, min: 0 },
+  expiresAt: { type: Date, default: null },
+  revokedAt: { type: Date },
+  revokedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  note: { 
+    type: String,
+    trim: true,
+    maxlength: 255
+  }
+}, {
+  timestamps: true
+});
+
+inviteSchema.index({ createdBy: 1, createdAt: -1 });
+
+inviteSchema.virtual('isUsable').get(function() {
+  return !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    (this.maxUses === null || this.uses < this.maxUses);
+});
+
+module.exports = mongoose.model('Invite', inviteSchema);
\ No newline at end of file
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One document per job name. Whoever holds an unexpired lease may run the job;
+// a crashed holder simply lets `lockedUntil` lapse.
+const jobLockSchema = new mongoose.Schema({
+  _id: { type: String },
+  owner: { type: String, required: true },
+  run: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'JobRun' 
+  },
+  acquiredAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, required: true }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
\ No newline at end of file
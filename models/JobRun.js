@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 90;
+
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true },
+  status: { 
+    type: String, 
+    enum: ['running', 'succeeded', 'failed'], 
+    default: 'running' 
+  },
+  trigger: { 
+    type: String, 
+    enum: ['schedule', 'manual', 'retry', 'startup'], 
+    required: true 
+  },
+  triggeredBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  attempt: { type: Number, default: 1, min: 1 },
+  retryOf: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'JobRun' 
+  },
+  // Input of jobs started on demand, such as the range of a report backfill.
+  params: { type: mongoose.Schema.Types.Mixed },
+  instance: { type: String },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+  stats: { type: mongoose.Schema.Types.Mixed },
+  error: {
+    message: { type: String },
+    stack: { type: String }
+  },
+  nextRetryAt: { type: Date },
+  retryClaimed: { type: Boolean, default: false }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, retryClaimed: 1, nextRetryAt: 1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { MONEY_SCHEMA_OPTIONS, moneyField } = require('../utils/money');
+
+const sampleSchema = new mongoose.Schema({
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  createdAt: { type: Date },
+  expected: moneyField(),
+  recorded: moneyField()
+}, { _id: false, ...MONEY_SCHEMA_OPTIONS });
+
+// What reconciliation found wrong with one account's ledger. A user has at
+// most one open discrepancy; later runs update it rather than adding more.
+const ledgerDiscrepancySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kinds: [{
+    type: String,
+    enum: ['balance', 'chain', 'amount']
+  }],
+  // The balance on the user document, the balance obtained by replaying every
+  // ledger entry from zero, and the newCredit of the latest entry.
+  storedBalance: moneyField(),
+  ledgerBalance: moneyField(),
+  lastRecordedBalance: moneyField(),
+  difference: moneyField(),
+  transactionCount: { type: Number, default: 0 },
+  // Entries whose oldCredit does not follow on from the previous newCredit.
+  chainBreaks: { type: Number, default: 0 },
+  chainBreakSamples: [sampleSchema],
+  // Entries whose newCredit - oldCredit does not match their amount.
+  amountMismatches: { type: Number, default: 0 },
+  amountMismatchSamples: [sampleSchema],
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'cleared'],
+    default: 'open'
+  },
+  detectedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  lastRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRun'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: { type: Date },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  adjustmentTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Entries up to this instant were accepted when the discrepancy was
+  // resolved; later runs only check the chain after it.
+  acceptedThrough: { type: Date },
+  clearedAt: { type: Date }
+}, {
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
+});
+
+ledgerDiscrepancySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+ledgerDiscrepancySchema.index({ status: 1, lastSeenAt: -1 });
+ledgerDiscrepancySchema.index({ user: 1, acceptedThrough: -1 });
+
+module.exports = mongoose.model('LedgerDiscrepancy', ledgerDiscrepancySchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+
+const RETENTION_DAYS = parseInt(process.env.OUTBOX_RETENTION_DAYS, 10) || 7;
+
+const outboxEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: WEBHOOK_EVENTS,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'dispatched'],
+    default: 'pending'
+  },
+  dispatchedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+outboxEventSchema.index({ status: 1, _id: 1 });
+outboxEventSchema.index({ dispatchedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Pass the caller's session so the event commits or rolls back together with
+// the change it describes.
+outboxEventSchema.statics.enqueue = function(type, data, { session } = {}) {
+  return this.create([{ type, data }], { session });
+};
+
+module.exports = mongoose.model('OutboxEvent', outboxEventSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true, 
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: 3,
+    maxlength: 40,
+    match: /^[a-z0-9_]+$/
+  },
+  description: { 
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  permissions: [{ 
+    type: String, 
+    enum: PERMISSIONS 
+  }],
+  builtIn: { type: Boolean, default: false },
+  updatedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  refreshTokenHash: { 
+    type: String, 
+    required: true 
+  },
+  ip: { type: String },
+  userAgent: { type: String, maxlength: 500 },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { 
+    type: Date, 
+    required: true 
+  },
+  revokedAt: { type: Date },
+  revokedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  revokedReason: { 
+    type: String,
+    enum: ['logout', 'logout_all', 'admin', 'token_reuse', 'password_change']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { TRANSACTION_TYPES, DIRECTIONS } = require('../config/transactionTypes');
+const { MONEY_SCHEMA_OPTIONS, moneyField } = require('../utils/money');
 
 const transactionSchema = new mongoose.Schema({
   user: { 
@@ -6,31 +8,47 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User', 
     required: true 
   },
-  amount: { 
-    type: Number, 
-    required: true,
-    min: 0.01,
-    set: v => Math.round(v * 100) / 100
-  },
+  // Validators see the stored value, so the minimum is one minor unit.
+  amount: moneyField({ required: true, min: [1, 'Amount must be at least 0.01'] }),
   type: { 
     type: String, 
-    enum: ['add', 'deduct'], 
+    enum: TRANSACTION_TYPES, 
     required: true 
   },
-  oldCredit: { 
-    type: Number, 
-    required: true,
-    set: v => Math.round(v * 100) / 100
-  },
-  newCredit: { 
-    type: Number, 
-    required: true,
-    set: v => Math.round(v * 100) / 100
+  direction: { 
+    type: String, 
+    enum: DIRECTIONS, 
+    required: true 
   },
+  oldCredit: moneyField({ required: true }),
+  newCredit: moneyField({ required: true }),
   adjustedBy: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User' 
   },
+  counterparty: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  relatedTransaction: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Transaction' 
+  },
+  // A reversal points at the entry it undoes, and that entry points back.
+  reversalOf: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Transaction' 
+  },
+  reversedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Transaction' 
+  },
+  reversedAt: { type: Date },
+  // Set on entries written through the wallet API: which provider asked for
+  // the change and the provider's own round and transaction identifiers.
+  provider: { type: String },
+  roundId: { type: String },
+  externalId: { type: String },
   description: { 
     type: String,
     trim: true,
@@ -38,12 +56,17 @@ const transactionSchema = new mongoose.Schema({
     maxlength: 255
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
 });
 
 transactionSchema.index({ user: 1, createdAt: -1 });
-transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ createdAt: -1, _id: -1 });
+transactionSchema.index({ amount: -1, _id: -1 });
+transactionSchema.index({ adjustedBy: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, createdAt: -1 });
+transactionSchema.index({ provider: 1, roundId: 1 }, { sparse: true });
+transactionSchema.index({ relatedTransaction: 1 }, { sparse: true });
 
 transactionSchema.virtual('formattedDate').get(function() {
   return new Date(this.createdAt).toLocaleString('th-TH', {
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+const OutboxEvent = require('./OutboxEvent');
+const { MONEY_SCHEMA_OPTIONS, moneyField, addMoney, subtractMoney } = require('../utils/money');
 
 const userSchema = new mongoose.Schema({
   username: { 
@@ -16,19 +19,30 @@ const userSchema = new mongoose.Schema({
   },
   role: { 
     type: String, 
-    enum: ['superadmin', 'agent', 'member'], 
+    enum: ['superadmin', 'masteragent', 'agent', 'member', 'staff'], 
     default: 'member'
   },
-  credit: { 
-    type: Number, 
-    default: 0,
-    min: 0,
-    set: v => Math.round(v * 100) / 100
-  },
+  credit: moneyField({ default: 0, min: [0, 'Credit cannot be negative'] }),
+  // Part of `credit` held for pending withdrawal requests; it still belongs
+  // to the user but cannot be spent or deducted until the request is settled.
+  reservedCredit: moneyField({ default: 0, min: [0, 'Reserved credit cannot be negative'] }),
   parent: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User'
   },
+  invite: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Invite'
+  },
+  staffRole: { 
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  permissionOverrides: {
+    grant: [{ type: String, enum: PERMISSIONS }],
+    revoke: [{ type: String, enum: PERMISSIONS }]
+  },
   agentCode: { 
     type: String,
     unique: true,
@@ -36,43 +50,100 @@ const userSchema = new mongoose.Schema({
     trim: true,
     minlength: 4,
     maxlength: 10
-  }
+  },
+  status: { 
+    type: String, 
+    enum: ['active', 'suspended', 'closed'], 
+    default: 'active' 
+  },
+  statusReason: { 
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  statusChangedAt: { type: Date },
+  statusChangedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  passwordChangedAt: { type: Date }
 }, {
-  timestamps: true
+  timestamps: true,
+  optimisticConcurrency: true,
+  ...MONEY_SCHEMA_OPTIONS
 });
 
 userSchema.index({ parent: 1 });
+userSchema.index({ parent: 1, status: 1 });
+userSchema.index({ role: 1, createdAt: 1 });
+userSchema.index({ invite: 1 }, { sparse: true });
 userSchema.index({ agentCode: 1, role: 1 });
-userSchema.index({ username: 1 }, { unique: true });
 
-userSchema.methods.updateCredit = async function(amount, type, adjustedBy, description = 'Credit adjustment') {
+userSchema.virtual('availableCredit').get(function() {
+  return subtractMoney(this.credit, this.reservedCredit || 0);
+});
+
+// `type` is the balance operation ('add' or 'deduct'); `transactionType` is
+// what the resulting ledger entry is recorded as.
+userSchema.methods.updateCredit = async function(amount, type, adjustedBy, description = 'Credit adjustment', {
+  session,
+  counterparty,
+  relatedTransaction,
+  reversalOf,
+  transactionType = 'adjustment',
+  provider,
+  roundId,
+  externalId
+} = {}) {
   const oldCredit = this.credit;
   
   if (type === 'add') {
-    this.credit += amount;
+    this.credit = addMoney(this.credit, amount);
   } else if (type === 'deduct') {
-    if (this.credit < amount) {
+    if (this.availableCredit < amount) {
       throw new Error('Insufficient credit');
     }
-    this.credit -= amount;
+    this.credit = subtractMoney(this.credit, amount);
   } else {
     throw new Error('Invalid credit type');
   }
   
-  await this.save();
+  await this.save({ session });
   
   const Transaction = mongoose.model('Transaction');
   const transaction = new Transaction({
     user: this._id,
     amount,
-    type,
+    type: transactionType,
+    direction: type === 'add' ? 'credit' : 'debit',
     oldCredit,
     newCredit: this.credit,
     adjustedBy,
+    counterparty,
+    relatedTransaction,
+    reversalOf,
+    provider,
+    roundId,
+    externalId,
     description
   });
   
-  await transaction.save();
+  await transaction.save({ session });
+
+  await OutboxEvent.enqueue('credit.changed', {
+    transaction: transaction._id,
+    user: this._id,
+    username: this.username,
+    role: this.role,
+    type: transaction.type,
+    direction: transaction.direction,
+    amount,
+    oldCredit,
+    newCredit: this.credit,
+    provider,
+    roundId,
+    createdAt: transaction.createdAt
+  }, { session });
   
   return {
     success: true,
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { MONEY_SCHEMA_OPTIONS, moneyField } = require('../utils/money');
+
+// One document per provider call that changes a balance, keyed by the
+// provider's own transaction ID. A retried call finds its earlier outcome here
+// instead of being applied twice.
+const walletTransactionSchema = new mongoose.Schema({
+  provider: { 
+    type: String, 
+    required: true 
+  },
+  transactionId: { 
+    type: String, 
+    required: true 
+  },
+  roundId: { 
+    type: String, 
+    required: true 
+  },
+  action: { 
+    type: String, 
+    enum: ['bet', 'win', 'refund', 'rollback'], 
+    required: true 
+  },
+  player: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  amount: moneyField({ default: 0 }),
+  gameId: { type: String },
+  // Refunds and rollbacks name the provider transaction they cancel.
+  reference: { type: String },
+  // Hash of the identifying fields of the call, to tell a retry from a
+  // different call that reuses the same transaction ID.
+  requestHash: { 
+    type: String, 
+    required: true 
+  },
+  status: { 
+    type: String, 
+    enum: ['completed', 'rejected'], 
+    required: true 
+  },
+  // Why a rejected call was refused, returned again when it is retried.
+  error: { type: String },
+  ledgerTransaction: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Transaction' 
+  },
+  balance: moneyField(),
+  reversedBy: { type: String }
+}, {
+  timestamps: true,
+  ...MONEY_SCHEMA_OPTIONS
+});
+
+walletTransactionSchema.index({ provider: 1, transactionId: 1 }, { unique: true });
+walletTransactionSchema.index({ provider: 1, roundId: 1 });
+walletTransactionSchema.index({ player: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
\ No newline at end of file
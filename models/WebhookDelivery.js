@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  statusCode: { type: Number },
+  error: { type: String },
+  responseBody: { type: String },
+  durationMs: { type: Number }
+}, { _id: false });
+
+// One event on its way to one subscription. The payload is copied here so the
+// delivery log shows exactly what was sent, and so it can be redelivered after
+// the outbox entry has expired.
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date },
+  lastStatusCode: { type: Number },
+  lastError: { type: String },
+  deliveredAt: { type: Date },
+  // The latest attempts, newest last.
+  log: [attemptSchema],
+  redeliveredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redeliveredAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ subscription: 1, event: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhookEvents');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2048
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  // Signs every delivery; only returned when it is created or rotated.
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: { type: Boolean, default: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
\ No newline at end of file
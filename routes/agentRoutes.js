@@ -2,10 +2,27 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const AgentStats = require('../models/AgentStats');
-const { checkAccess } = require('./memberRoutes');
+const { authenticate, requirePermission, checkHierarchyAccess } = require('../middleware/auth');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { adjustAgentFloat } = require('../services/ledgerService');
+const { idempotency } = require('../middleware/idempotency');
+const { buildTree } = require('../services/hierarchyService');
+const { can } = require('../services/permissionService');
+const { recordAudit } = require('../services/auditService');
+const { getPendingCommission } = require('../services/settlementService');
+const { exportFormatValidators, exportQueryValidators, dateRangeFilter, exportOptions, streamExport } = require('../services/exportService');
+const { formatAmount, fromMinor } = require('../utils/money');
+
+// Depth-first walk of a buildTree() result, one row per user.
+function* flattenTree(node, depth = 0, path = []) {
+  const nodePath = [...path, node.name];
+  yield { ...node, depth, path: nodePath.join(' / ') };
+  for (const child of node.children || []) {
+    yield* flattenTree(child, depth + 1, nodePath);
+  }
+}
 
 const validateAgentRegistration = [
   body('username')
@@ -21,26 +38,47 @@ const validateAgentRegistration = [
     .optional()
     .trim()
     .isLength({ min: 4, max: 10 }).withMessage('Agent code must be between 4 and 10 characters')
-    .matches(/^[A-Z0-9_]+$/).withMessage('Agent code can only contain uppercase letters, numbers, and underscores')
+    .matches(/^[A-Z0-9_]+$/).withMessage('Agent code can only contain uppercase letters, numbers, and underscores'),
+  body('role')
+    .optional()
+    .isIn(['masteragent', 'agent']).withMessage('Role must be either "masteragent" or "agent"'),
+  body('canCreateAgents')
+    .optional()
+    .isBoolean().withMessage('canCreateAgents must be a boolean')
 ];
 
-router.post('/register', checkAccess, validateAgentRegistration, async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ 
-      errors: errors.array().map(err => ({
-        field: err.param,
-        message: err.msg
-      }))
-    });
-  }
+const validateFloatAdjustment = [
+  param('id').isMongoId().withMessage('Invalid agent ID'),
+  body('amount')
+    .isFloat({ min: 0.01, max: 100000000 })
+    .withMessage('Amount must be between 0.01 and 100,000,000')
+    .custom(value => {
+      const decimalPart = value.toString().split('.')[1];
+      if (decimalPart && decimalPart.length > 2) {
+        throw new Error('Amount must have at most 2 decimal places');
+      }
+      return true;
+    }),
+  body('type')
+    .isIn(['add', 'deduct'])
+    .withMessage('Type must be either "add" or "deduct"'),
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be a string')
+    .isLength({ max: 255 })
+    .withMessage('Description must be less than 255 characters')
+];
 
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({ error: 'Super Admin access only' });
-  }
+router.post('/register', authenticate, requirePermission('agent.create'), validateAgentRegistration, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
 
   try {
-    const { username, password, agentCode } = req.body;
+    const { username, password, agentCode, role = 'agent', canCreateAgents: grantCreateAgents = false } = req.body;
+
+    if (role === 'masteragent' && !can(req.permissions, 'masteragent.create')) {
+      return res.status(403).json({ error: 'Missing permission: masteragent.create' });
+    }
     
     const existingUser = await User.findOne({ username });
     if (existingUser) {
@@ -60,8 +98,11 @@ router.post('/register', checkAccess, validateAgentRegistration, async (req, res
     const newAgent = new User({
       username,
       password: hashedPassword,
-      role: 'agent',
+      role,
       parent: req.user.id,
+      permissionOverrides: {
+        grant: grantCreateAgents === true || grantCreateAgents === 'true' ? ['agent.create'] : []
+      },
       agentCode: finalAgentCode
     });
 
@@ -69,6 +110,12 @@ router.post('/register', checkAccess, validateAgentRegistration, async (req, res
     
     await new AgentStats({ agent: newAgent._id }).save();
 
+    await recordAudit(req, 'agent.create', {
+      targetType: 'User',
+      targetId: newAgent._id,
+      after: newAgent
+    });
+
     res.status(201).json({ 
       message: 'Agent created successfully',
       agent: {
@@ -76,6 +123,8 @@ router.post('/register', checkAccess, validateAgentRegistration, async (req, res
         username: newAgent.username,
         agentCode: newAgent.agentCode,
         role: newAgent.role,
+        parent: newAgent.parent,
+        permissionOverrides: newAgent.permissionOverrides,
         formattedAgentCode: newAgent.agentCode
       }
     });
@@ -93,11 +142,7 @@ router.post('/register', checkAccess, validateAgentRegistration, async (req, res
   }
 });
 
-router.get('/my-members', checkAccess, async (req, res) => {
-  if (req.user.role !== 'agent') {
-    return res.status(403).json({ error: 'Agent access only' });
-  }
-
+router.get('/my-members', authenticate, requirePermission('member.view'), async (req, res) => {
   try {
     const members = await User.find({ 
       parent: req.user.id,
@@ -109,11 +154,9 @@ router.get('/my-members', checkAccess, async (req, res) => {
       username: member.username,
       credit: member.credit,
       role: member.role,
+      status: member.status,
       createdAt: member.createdAt,
-      formattedCredit: member.credit.toLocaleString('th-TH', { 
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      })
+      formattedCredit: formatAmount(member.credit)
     }));
     
     res.json(formattedMembers);
@@ -123,13 +166,44 @@ router.get('/my-members', checkAccess, async (req, res) => {
   }
 });
 
-router.get('/stats', checkAccess, async (req, res) => {
-  if (req.user.role !== 'agent') {
-    return res.status(403).json({ error: 'Agent access only' });
+router.get('/my-members/export', authenticate, requirePermission('member.view'), exportQueryValidators, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const filter = { parent: req.user.id, role: 'member' };
+    const createdAt = dateRangeFilter(req.query.from, req.query.to);
+    if (createdAt) filter.createdAt = createdAt;
+
+    await recordAudit(req, 'member.export', {
+      metadata: { format: req.query.format || 'csv', from: req.query.from, to: req.query.to }
+    });
+
+    const cursor = User.find(filter)
+      .select('username credit status createdAt')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, exportOptions(req, `members-${req.user.username}`, [
+      { header: 'Username', key: 'username' },
+      { header: 'Status', key: 'status' },
+      { header: 'Credit', key: 'credit', type: 'number' },
+      { header: 'Joined', key: 'createdAt', type: 'date' }
+    ]), cursor, m => ({ ...m, credit: fromMinor(m.credit) }));
+  } catch (err) {
+    if (res.headersSent) return;
+    console.error('Error exporting agent members:', err);
+    res.status(500).json({ error: 'Server error while exporting members' });
   }
+});
 
+router.get('/stats', authenticate, requirePermission('agent.stats.view'), async (req, res) => {
   try {
-    const stats = await AgentStats.findOne({ agent: req.user.id });
+    const [stats, agent, pendingCommission] = await Promise.all([
+      AgentStats.findOne({ agent: req.user.id }),
+      User.findById(req.user.id).select('credit'),
+      getPendingCommission(req.user.id)
+    ]);
     
     if (!stats) {
       return res.status(404).json({ error: 'Agent statistics not found' });
@@ -140,15 +214,12 @@ router.get('/stats', checkAccess, async (req, res) => {
       activeMembers: stats.activeMembers,
       totalCredit: stats.totalCredit,
       totalCommission: stats.totalCommission,
+      pendingCommission,
       commissionRate: stats.commissionRate,
-      formattedTotalCredit: stats.totalCredit.toLocaleString('th-TH', { 
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      }),
-      formattedTotalCommission: stats.totalCommission.toLocaleString('th-TH', { 
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      }),
+      floatCredit: agent?.credit || 0,
+      formattedFloatCredit: formatAmount(agent?.credit || 0),
+      formattedTotalCredit: formatAmount(stats.totalCredit),
+      formattedTotalCommission: formatAmount(stats.totalCommission),
       lastUpdated: stats.lastUpdated,
       formattedLastUpdated: new Date(stats.lastUpdated).toLocaleString('th-TH')
     });
@@ -158,46 +229,79 @@ router.get('/stats', checkAccess, async (req, res) => {
   }
 });
 
-router.get('/tree', checkAccess, async (req, res) => {
-  if (req.user.role !== 'superadmin') {
-    return res.status(403).json({ error: 'Super Admin access only' });
+router.put('/:id/credit', authenticate, requirePermission('agent.float.adjust'), checkHierarchyAccess(), idempotency, validateFloatAdjustment, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { amount, type, description = type === 'add' ? 'Float issued' : 'Float withdrawn' } = req.body;
+
+    const result = await adjustAgentFloat({
+      agentId: req.params.id,
+      amount,
+      type,
+      adjustedBy: req.user.id,
+      description
+    });
+
+    await recordAudit(req, 'agent.float.adjust', {
+      targetType: 'User',
+      targetId: result.member._id,
+      before: { credit: result.transaction.oldCredit },
+      after: { credit: result.transaction.newCredit },
+      metadata: { amount, type, description, transaction: result.transaction._id }
+    });
+
+    res.json({
+      success: true,
+      agent: {
+        _id: result.member._id,
+        username: result.member.username,
+        agentCode: result.member.agentCode,
+        credit: result.member.credit,
+        formattedCredit: formatAmount(result.member.credit)
+      },
+      transaction: {
+        _id: result.transaction._id,
+        amount: result.transaction.amount,
+        type: result.transaction.type,
+        timestamp: result.transaction.createdAt
+      }
+    });
+  } catch (err) {
+    console.error('Error updating agent float:', err);
+
+    await recordAudit(req, 'agent.float.adjust', {
+      status: 'failure',
+      targetType: 'User',
+      targetId: req.params.id,
+      metadata: { amount: req.body.amount, type: req.body.type, error: err.message }
+    });
+
+    if (err.message === 'Agent not found') {
+      return res.status(404).json({ error: err.message });
+    }
+
+    if (err.message.includes('Insufficient')) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ error: 'Credit was changed by another request, please try again' });
+    }
+
+    res.status(500).json({ 
+      error: 'Server error while updating agent float',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
   }
+});
 
+router.get('/tree', authenticate, requirePermission('agent.tree.view'), async (req, res) => {
   try {
-    const superAdmin = await User.findById(req.user.id).select('username role agentCode');
-    const agents = await User.find({ 
-      role: 'agent',
-      parent: req.user.id
-    }).select('username role agentCode');
-
-    const tree = {
-      id: superAdmin._id,
-      name: superAdmin.username,
-      role: superAdmin.role,
-      children: await Promise.all(agents.map(async (agent) => {
-        const members = await User.find({
-          parent: agent._id,
-          role: 'member'
-        }).select('username credit role');
-
-        return {
-          id: agent._id,
-          name: agent.username,
-          role: agent.role,
-          agentCode: agent.agentCode,
-          children: members.map(member => ({
-            id: member._id,
-            name: member.username,
-            role: member.role,
-            credit: member.credit,
-            formattedCredit: member.credit.toLocaleString('th-TH', { 
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 2
-            })
-          }))
-        };
-      }))
-    };
+    const tree = await buildTree(req.user.id);
+    if (!tree) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     res.json(tree);
   } catch (err) {
@@ -206,4 +310,34 @@ router.get('/tree', checkAccess, async (req, res) => {
   }
 });
 
+router.get('/tree/export', authenticate, requirePermission('agent.tree.view'), exportFormatValidators, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const tree = await buildTree(req.user.id);
+    if (!tree) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAudit(req, 'agent.tree.export', {
+      metadata: { format: req.query.format || 'csv' }
+    });
+
+    await streamExport(res, exportOptions(req, `agent-tree-${req.user.username}`, [
+      { header: 'Path', key: 'path', width: 40 },
+      { header: 'Depth', key: 'depth', type: 'integer' },
+      { header: 'Username', key: 'name' },
+      { header: 'Role', key: 'role' },
+      { header: 'Agent Code', key: 'agentCode' },
+      { header: 'Credit', key: 'credit', type: 'number' },
+      { header: 'Subtree Members', key: 'subtreeMembers', type: 'integer' },
+      { header: 'Subtree Credit', key: 'subtreeCredit', type: 'number' }
+    ]), flattenTree(tree));
+  } catch (err) {
+    if (res.headersSent) return;
+    console.error('Error exporting agent tree:', err);
+    res.status(500).json({ error: 'Server error while exporting agent hierarchy' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
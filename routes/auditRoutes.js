@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { searchAuditLogs, verifyChain } = require('../services/auditService');
+
+const validateSearch = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('status').optional().isIn(['success', 'failure']).withMessage('Status must be success or failure'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+];
+
+const validateVerify = [
+  query('fromSeq').optional().isInt({ min: 1 }).toInt(),
+  query('toSeq').optional().isInt({ min: 1 }).toInt()
+];
+
+router.use(authenticate, requirePermission('audit.view'));
+
+router.get('/', validateSearch, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const result = await searchAuditLogs(req.query);
+    res.json(result);
+  } catch (err) {
+    console.error('Error searching audit log:', err);
+    res.status(500).json({ error: 'Server error while searching audit log' });
+  }
+});
+
+router.get('/verify', validateVerify, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const result = await verifyChain(req.query);
+    res.json(result);
+  } catch (err) {
+    console.error('Error verifying audit chain:', err);
+    res.status(500).json({ error: 'Server error while verifying audit log' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
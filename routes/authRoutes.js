@@ -1,8 +1,24 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { body, validationResult } = require('express-validator');
+const Session = require('../models/Session');
+const AgentStats = require('../models/AgentStats');
+const OutboxEvent = require('../models/OutboxEvent');
+const { isAgentRole } = require('../services/hierarchyService');
+const { redeemInvite } = require('../services/inviteService');
+const runInTransaction = require('../utils/runInTransaction');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} = require('../services/sessionService');
+const { authenticate, requirePermission, loadPermissions } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
+const { can } = require('../services/permissionService');
+const { body, param } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -16,9 +32,9 @@ const validateRegistration = [
     .trim()
     .notEmpty().withMessage('Password is required')
     .isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
-  body('role')
-    .optional()
-    .isIn(['superadmin', 'agent', 'member']).withMessage('Invalid role'),
+  body('inviteCode')
+    .trim()
+    .notEmpty().withMessage('Invite code is required'),
   body('agentCode')
     .optional()
     .trim()
@@ -34,65 +50,86 @@ const validateLogin = [
     .notEmpty().withMessage('Password is required')
 ];
 
+const validateRefresh = [
+  body('refreshToken')
+    .isString().withMessage('Refresh token is required')
+    .notEmpty().withMessage('Refresh token is required')
+];
+
 router.post('/register', validateRegistration, async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ 
-      errors: errors.array().map(err => ({
-        field: err.param,
-        message: err.msg
-      }))
-    });
-  }
+  if (sendValidationErrors(req, res)) return;
 
   try {
-    const { username, password, role, agentCode } = req.body;
+    const { username, password, inviteCode, agentCode } = req.body;
     
     const existingUser = await User.findOne({ username });
     if (existingUser) {
       return res.status(400).json({ error: 'Username already exists' });
     }
 
-    let parent = null;
-    if (agentCode) {
-      const agent = await User.findOne({ 
-        agentCode, 
-        role: 'agent' 
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const newUser = await runInTransaction(async (session) => {
+      const invite = await redeemInvite(inviteCode.toUpperCase(), { session });
+      if (!invite) {
+        throw new Error('Invalid or expired invite code');
+      }
+
+      const issuer = await User.findById(invite.createdBy).select('role').session(session);
+      if (!issuer) {
+        throw new Error('Invalid or expired invite code');
+      }
+
+      // Members only hang under an agent, whose float backs their credit. A
+      // member invited by anyone else starts without a parent.
+      const user = new User({
+        username,
+        password: hashedPassword,
+        role: invite.role,
+        parent: ['superadmin', 'staff'].includes(invite.role) || (invite.role === 'member' && !isAgentRole(issuer.role))
+          ? undefined
+          : issuer._id,
+        staffRole: invite.staffRole,
+        invite: invite._id,
+        agentCode: isAgentRole(invite.role) ? agentCode || `AGENT${Date.now().toString().slice(-6)}` : undefined
       });
-      
-      if (!agent) {
-        return res.status(400).json({ error: 'Invalid agent code' });
+
+      await user.save({ session });
+
+      if (isAgentRole(user.role)) {
+        await new AgentStats({ agent: user._id }).save({ session });
       }
-      parent = agent._id;
-    }
 
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+      if (user.role === 'member') {
+        await OutboxEvent.enqueue('member.created', {
+          user: user._id,
+          username: user.username,
+          parent: user.parent,
+          status: user.status,
+          source: 'invite',
+          createdAt: user.createdAt
+        }, { session });
+      }
 
-    const newUser = new User({
-      username,
-      password: hashedPassword,
-      role: role || (parent ? 'member' : 'superadmin'),
-      parent,
-      agentCode: role === 'agent' ? agentCode || `AGENT${Date.now().toString().slice(-6)}` : undefined
+      return user;
     });
 
-    await newUser.save();
-    
-    if (newUser.role === 'agent') {
-      const AgentStats = require('../models/AgentStats');
-      await new AgentStats({ agent: newUser._id }).save();
-    }
+    const { token, refreshToken, refreshTokenExpiresAt } = await createSession(newUser, req);
 
-    const token = jwt.sign(
-      { id: newUser._id, role: newUser.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await recordAudit(req, 'user.register', {
+      actor: newUser,
+      targetType: 'User',
+      targetId: newUser._id,
+      after: newUser,
+      metadata: { invite: newUser.invite }
+    });
 
     res.status(201).json({ 
       message: 'User created successfully',
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: {
         id: newUser._id,
         username: newUser.username,
@@ -103,6 +140,10 @@ router.post('/register', validateRegistration, async (req, res) => {
   } catch (err) {
     console.error('Registration error:', err);
     
+    if (err.message === 'Invalid or expired invite code') {
+      return res.status(400).json({ error: err.message });
+    }
+    
     if (err.code === 11000) {
       return res.status(400).json({ error: 'Duplicate key error - username or agent code already exists' });
     }
@@ -115,33 +156,54 @@ router.post('/register', validateRegistration, async (req, res) => {
 });
 
 router.post('/login', validateLogin, async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ 
-      errors: errors.array().map(err => ({
-        field: err.param,
-        message: err.msg
-      }))
-    });
-  }
+  if (sendValidationErrors(req, res)) return;
 
   try {
     const { username, password } = req.body;
     
     const user = await User.findOne({ username });
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user) {
+      await recordAudit(req, 'auth.login_failed', {
+        status: 'failure',
+        targetType: 'User',
+        metadata: { username, reason: 'unknown_user' }
+      });
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ error: 'Invalid credentials' });
+    if (!isMatch) {
+      await recordAudit(req, 'auth.login_failed', {
+        status: 'failure',
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { username, reason: 'invalid_password' }
+      });
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    if (user.status !== 'active') {
+      await recordAudit(req, 'auth.login_failed', {
+        status: 'failure',
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { username, reason: `account_${user.status}` }
+      });
+      return res.status(403).json({ error: `Account is ${user.status}` });
+    }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, req);
+
+    await recordAudit(req, 'auth.login', {
+      actor: user,
+      targetType: 'User',
+      targetId: user._id
+    });
 
     res.json({ 
       token, 
+      refreshToken,
+      refreshTokenExpiresAt,
       user: { 
         id: user._id, 
         username: user.username, 
@@ -156,4 +218,118 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
+router.post('/refresh', validateRefresh, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { token, refreshToken, refreshTokenExpiresAt, sessionId, user } = await rotateSession(req.body.refreshToken, req);
+    await recordAudit(req, 'auth.refresh', { actor: user, targetType: 'Session', targetId: sessionId });
+    res.json({ token, refreshToken, refreshTokenExpiresAt });
+  } catch (err) {
+    if (err.message === 'Invalid refresh token') {
+      await recordAudit(req, 'auth.refresh_failed', {
+        status: 'failure',
+        targetType: 'Session',
+        targetId: req.body.refreshToken.split('.')[0]
+      });
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    console.error('Token refresh error:', err);
+    res.status(500).json({ error: 'Server error during token refresh' });
+  }
+});
+
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, { reason: 'logout', revokedBy: req.user.id });
+    await recordAudit(req, 'auth.logout', { targetType: 'Session', targetId: req.user.sid });
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Server error during logout' });
+  }
+});
+
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, { reason: 'logout_all', revokedBy: req.user.id });
+    await recordAudit(req, 'auth.logout_all', { targetType: 'User', targetId: req.user.id, metadata: { revoked } });
+    res.json({ message: 'All sessions logged out', revoked });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ error: 'Server error during logout' });
+  }
+});
+
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.user.sid
+    })));
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ error: 'Server error while fetching sessions' });
+  }
+});
+
+router.get('/users/:id/sessions', authenticate, requirePermission('session.manage'), param('id').isMongoId().withMessage('Invalid user ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const sessions = await listActiveSessions(req.params.id);
+    res.json(sessions);
+  } catch (err) {
+    console.error('Error fetching user sessions:', err);
+    res.status(500).json({ error: 'Server error while fetching sessions' });
+  }
+});
+
+router.delete('/users/:id/sessions', authenticate, requirePermission('session.manage'), param('id').isMongoId().withMessage('Invalid user ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const revoked = await revokeUserSessions(req.params.id, { reason: 'admin', revokedBy: req.user.id });
+    await recordAudit(req, 'session.revoke_all', { targetType: 'User', targetId: req.params.id, metadata: { revoked } });
+    res.json({ message: 'User sessions revoked', revoked });
+  } catch (err) {
+    console.error('Error revoking user sessions:', err);
+    res.status(500).json({ error: 'Server error while revoking sessions' });
+  }
+});
+
+router.delete('/sessions/:sessionId', authenticate, param('sessionId').isMongoId().withMessage('Invalid session ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const session = await Session.findById(req.params.sessionId).select('user');
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const isOwnSession = session.user.toString() === req.user.id;
+    if (!isOwnSession && !can(await loadPermissions(req), 'session.manage')) {
+      return res.status(403).json({ error: 'Access denied to this session' });
+    }
+
+    const revoked = await revokeSession(session._id, {
+      reason: isOwnSession ? 'logout' : 'admin',
+      revokedBy: req.user.id
+    });
+
+    await recordAudit(req, 'session.revoke', {
+      targetType: 'Session',
+      targetId: session._id,
+      metadata: { user: session.user, revoked }
+    });
+
+    res.json({ message: revoked ? 'Session revoked' : 'Session was already inactive' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Server error while revoking session' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
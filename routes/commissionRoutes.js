@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const CommissionPlan = require('../models/CommissionPlan');
+const CommissionEntry = require('../models/CommissionEntry');
+const { authenticate, requirePermission, loadPermissions } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { can } = require('../services/permissionService');
+const { resolvePlan, createPlanVersion } = require('../services/commissionService');
+const { isAgentRole } = require('../services/hierarchyService');
+const { recordAudit } = require('../services/auditService');
+const { TRANSACTION_TYPES } = require('../config/transactionTypes');
+
+const validatePlan = [
+  body('agent')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Invalid agent ID'),
+  body('name')
+    .optional()
+    .isString()
+    .isLength({ max: 100 }).withMessage('Name must be less than 100 characters'),
+  body('type')
+    .isIn(['flat', 'tiered', 'by_type']).withMessage('Type must be one of flat, tiered or by_type'),
+  body('rate')
+    .if(body('type').equals('flat'))
+    .isFloat({ min: 0, max: 1 }).withMessage('Rate must be between 0 and 1'),
+  body('tiers')
+    .if(body('type').equals('tiered'))
+    .isArray({ min: 1 }).withMessage('Tiered plans need at least one tier'),
+  body('tiers.*.minVolume')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Tier minVolume must be zero or more'),
+  body('tiers.*.rate')
+    .optional()
+    .isFloat({ min: 0, max: 1 }).withMessage('Tier rate must be between 0 and 1'),
+  body('typeRates')
+    .if(body('type').equals('by_type'))
+    .isArray({ min: 1 }).withMessage('Per-type plans need at least one transaction type rate'),
+  body('typeRates.*.transactionType')
+    .optional()
+    .isIn(TRANSACTION_TYPES).withMessage(`Transaction type must be one of ${TRANSACTION_TYPES.join(', ')}`),
+  body('typeRates.*.rate')
+    .optional()
+    .isFloat({ min: 0, max: 1 }).withMessage('Transaction type rate must be between 0 and 1'),
+  body('transactionTypes')
+    .optional()
+    .isArray({ min: 1 }).withMessage('transactionTypes must be a non-empty array'),
+  body('transactionTypes.*')
+    .isIn(TRANSACTION_TYPES).withMessage(`Transaction type must be one of ${TRANSACTION_TYPES.join(', ')}`),
+  body('volumePeriod')
+    .optional()
+    .isIn(['day', 'week', 'month']).withMessage('volumePeriod must be day, week or month'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601().withMessage('effectiveFrom must be an ISO 8601 date')
+    .custom(value => {
+      if (new Date(value) < new Date(Date.now() - 60 * 1000)) {
+        throw new Error('effectiveFrom cannot be in the past');
+      }
+      return true;
+    })
+];
+
+router.use(authenticate);
+
+router.get('/current', query('agent').optional().isMongoId().withMessage('Invalid agent ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const agentId = req.query.agent || req.user.id;
+
+    if (agentId !== req.user.id && !can(await loadPermissions(req), 'commission.manage')) {
+      return res.status(403).json({ error: 'Missing permission: commission.manage' });
+    }
+
+    const plan = await resolvePlan(agentId);
+    res.json(plan || { type: 'legacy', description: 'Flat AgentStats.commissionRate on bets' });
+  } catch (err) {
+    console.error('Error fetching current commission plan:', err);
+    res.status(500).json({ error: 'Server error while fetching commission plan' });
+  }
+});
+
+router.get('/', requirePermission('commission.manage'), query('agent').optional().isMongoId().withMessage('Invalid agent ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const filter = {};
+    if (req.query.agent) filter.agent = req.query.agent;
+    if (req.query.default === 'true') filter.agent = null;
+
+    const plans = await CommissionPlan.find(filter).sort({ agent: 1, effectiveFrom: -1 }).limit(500);
+    res.json(plans);
+  } catch (err) {
+    console.error('Error fetching commission plans:', err);
+    res.status(500).json({ error: 'Server error while fetching commission plans' });
+  }
+});
+
+router.post('/', requirePermission('commission.manage'), validatePlan, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { agent, name, type, rate, tiers, typeRates, transactionTypes, volumePeriod, effectiveFrom } = req.body;
+
+    if (agent) {
+      const agentUser = await User.findById(agent).select('role');
+      if (!agentUser || !isAgentRole(agentUser.role)) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+    }
+
+    const previous = await CommissionPlan.findOne({ agent: agent || null, effectiveTo: null }).sort({ effectiveFrom: -1 });
+
+    const plan = await createPlanVersion({
+      agent,
+      name,
+      type,
+      rate,
+      tiers,
+      typeRates,
+      transactionTypes,
+      volumePeriod,
+      effectiveFrom,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, 'commission.plan.create', {
+      targetType: 'CommissionPlan',
+      targetId: plan._id,
+      before: previous || undefined,
+      after: plan,
+      metadata: { agent: agent || null }
+    });
+
+    res.status(201).json({ message: 'Commission plan created successfully', plan });
+  } catch (err) {
+    console.error('Commission plan creation error:', err);
+
+    if (err.name === 'ValidationError' || err.message.includes('commission plans require')) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.status(500).json({
+      error: 'Server error while creating commission plan',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+router.get('/entries', query('agent').optional().isMongoId().withMessage('Invalid agent ID'), query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt(), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const agentId = req.query.agent || req.user.id;
+
+    if (agentId !== req.user.id && !can(await loadPermissions(req), 'commission.manage')) {
+      return res.status(403).json({ error: 'Missing permission: commission.manage' });
+    }
+
+    const entries = await CommissionEntry.find({ agent: agentId })
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || 100)
+      .select('-__v');
+
+    res.json(entries);
+  } catch (err) {
+    console.error('Error fetching commission entries:', err);
+    res.status(500).json({ error: 'Server error while fetching commission entries' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const CreditRequest = require('../models/CreditRequest');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { body, param, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { can } = require('../services/permissionService');
+const { AGENT_ROLES, isAgentRole, getDescendantIds } = require('../services/hierarchyService');
+const { updateAgentStats } = require('../services/commissionService');
+const { approveCreditRequest, rejectCreditRequest } = require('../services/creditRequestService');
+const { recordAudit } = require('../services/auditService');
+const { formatAmount } = require('../utils/money');
+
+const validateList = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'expired']).withMessage('Invalid status'),
+  query('type')
+    .optional()
+    .isIn(['deposit', 'withdrawal']).withMessage('Type must be either "deposit" or "withdrawal"'),
+  query('agent').optional().isMongoId().withMessage('Invalid agent ID'),
+  query('member').optional().isMongoId().withMessage('Invalid member ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+    .toInt()
+];
+
+const validateRejection = [
+  param('id').isMongoId().withMessage('Invalid request ID'),
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('A reason is required')
+    .isLength({ max: 255 }).withMessage('Reason must be less than 255 characters')
+];
+
+// Agents review the queues of their own agent subtree; a master agent can
+// therefore step in for an agent below them.
+const reviewableAgents = async (req) => {
+  if (can(req.permissions, 'scope.global')) return null;
+
+  const ids = await getDescendantIds(req.user.id, { roles: AGENT_ROLES });
+  return [req.user.id, ...ids.map(id => id.toString())];
+};
+
+const findReviewable = async (req, res) => {
+  const request = await CreditRequest.findById(req.params.id)
+    .populate('member', 'username credit reservedCredit status')
+    .populate('agent', 'username')
+    .populate('reviewedBy', 'username');
+  if (!request) {
+    res.status(404).json({ error: 'Credit request not found' });
+    return null;
+  }
+
+  const agents = await reviewableAgents(req);
+  if (agents && !(request.agent && agents.includes(request.agent._id.toString()))) {
+    res.status(403).json({ error: 'Access denied to this credit request' });
+    return null;
+  }
+  return request;
+};
+
+const statusForError = (err) => {
+  if (err.message.endsWith('not found')) return 404;
+  if (err.message.startsWith('Credit request is already') || err.message.includes('has expired')) return 409;
+  if (err.message.includes('Insufficient') || err.message.startsWith('Member account is')) return 400;
+  if (err.name === 'VersionError') return 409;
+  return 500;
+};
+
+router.use(authenticate, requirePermission('credit.adjust'));
+
+router.use((req, res, next) => {
+  if (!can(req.permissions, 'scope.global') && !isAgentRole(req.user.role)) {
+    return res.status(403).json({ error: 'Credit requests are reviewed by agents and global administrators' });
+  }
+  next();
+});
+
+router.get('/', validateList, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const agents = await reviewableAgents(req);
+    if (agents && req.query.agent && !agents.includes(req.query.agent)) {
+      return res.status(403).json({ error: 'Agent is outside your hierarchy' });
+    }
+
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.agent) {
+      filter.agent = req.query.agent;
+    } else if (agents) {
+      filter.agent = { $in: agents };
+    }
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.member) filter.member = req.query.member;
+
+    // The pending queue is worked oldest first; history is shown newest first.
+    const requests = await CreditRequest.find(filter)
+      .populate('member', 'username credit reservedCredit status')
+      .populate('agent', 'username')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: filter.status === 'pending' ? 1 : -1 })
+      .limit(req.query.limit || 100);
+
+    res.json(requests.map(request => ({
+      ...request.toObject(),
+      formattedAmount: formatAmount(request.amount)
+    })));
+  } catch (err) {
+    console.error('Error fetching credit requests:', err);
+    res.status(500).json({ error: 'Server error while fetching credit requests' });
+  }
+});
+
+router.get('/:id', param('id').isMongoId().withMessage('Invalid request ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const request = await findReviewable(req, res);
+    if (!request) return;
+
+    res.json({
+      ...request.toObject(),
+      formattedAmount: formatAmount(request.amount)
+    });
+  } catch (err) {
+    console.error('Error fetching credit request:', err);
+    res.status(500).json({ error: 'Server error while fetching credit request' });
+  }
+});
+
+router.post('/:id/approve', idempotency, param('id').isMongoId().withMessage('Invalid request ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const request = await findReviewable(req, res);
+    if (!request) return;
+
+    const result = await approveCreditRequest({
+      requestId: request._id,
+      reviewedBy: req.user.id,
+      reviewerName: req.user.username
+    });
+
+    if (result.member.parent) {
+      await updateAgentStats(result.member.parent);
+    }
+
+    await recordAudit(req, 'credit_request.approve', {
+      targetType: 'CreditRequest',
+      targetId: result.request._id,
+      before: { status: 'pending' },
+      after: { status: result.request.status },
+      metadata: {
+        type: result.request.type,
+        amount: result.request.amount,
+        member: result.member._id,
+        transaction: result.transaction._id,
+        agentTransaction: result.agentTransaction?._id
+      }
+    });
+
+    res.json({
+      message: `${result.request.type === 'deposit' ? 'Deposit' : 'Withdrawal'} approved`,
+      request: result.request,
+      member: {
+        _id: result.member._id,
+        username: result.member.username,
+        credit: result.member.credit,
+        formattedCredit: formatAmount(result.member.credit)
+      },
+      transaction: {
+        _id: result.transaction._id,
+        amount: result.transaction.amount,
+        type: result.transaction.type,
+        timestamp: result.transaction.createdAt
+      },
+      agentFloat: result.agent ? {
+        _id: result.agent._id,
+        credit: result.agent.credit,
+        formattedCredit: formatAmount(result.agent.credit)
+      } : undefined
+    });
+  } catch (err) {
+    console.error('Credit request approval error:', err);
+
+    await recordAudit(req, 'credit_request.approve', {
+      status: 'failure',
+      targetType: 'CreditRequest',
+      targetId: req.params.id,
+      metadata: { error: err.message }
+    });
+
+    const status = statusForError(err);
+    res.status(status).json({ error: status === 500 ? 'Server error while approving credit request' : err.message });
+  }
+});
+
+router.post('/:id/reject', validateRejection, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const request = await findReviewable(req, res);
+    if (!request) return;
+
+    const rejected = await rejectCreditRequest({
+      requestId: request._id,
+      reviewedBy: req.user.id,
+      reason: req.body.reason
+    });
+
+    await recordAudit(req, 'credit_request.reject', {
+      targetType: 'CreditRequest',
+      targetId: rejected._id,
+      before: { status: 'pending' },
+      after: { status: rejected.status, rejectionReason: rejected.rejectionReason },
+      metadata: { type: rejected.type, amount: rejected.amount, member: rejected.member }
+    });
+
+    res.json({ message: 'Credit request rejected', request: rejected });
+  } catch (err) {
+    console.error('Credit request rejection error:', err);
+
+    const status = statusForError(err);
+    res.status(status).json({ error: status === 500 ? 'Server error while rejecting credit request' : err.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
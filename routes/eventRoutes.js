@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { can } = require('../services/permissionService');
+const { isAgentRole } = require('../services/hierarchyService');
+const { isSessionActive } = require('../services/sessionService');
+const { subscribe, countSubscriptions } = require('../services/realtimeService');
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAMS_PER_USER = parseInt(process.env.REALTIME_MAX_STREAMS_PER_USER, 10) || 5;
+
+// EventSource cannot set headers, so browsers pass the same JWT as
+// `access_token`. The request log redacts it.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('x-auth-token') && typeof req.query.access_token === 'string') {
+    req.headers['x-auth-token'] = req.query.access_token;
+  }
+  next();
+};
+
+// Server-sent events for agent dashboards: credit.changed, member.created,
+// commission.accrued and agent.stats. Agents receive events for themselves
+// and their subtree; holders of scope.global receive everything.
+router.get('/', tokenFromQuery, authenticate, requirePermission('member.view', 'agent.stats.view'), (req, res) => {
+  const global = can(req.permissions, 'scope.global');
+  if (!global && !isAgentRole(req.user.role)) {
+    return res.status(403).json({ error: 'Real-time events are only available to agents' });
+  }
+  if (countSubscriptions(req.user.id) >= MAX_STREAMS_PER_USER) {
+    return res.status(429).json({ error: 'Too many open event streams for this account' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  const send = (event, data) => {
+    res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+  send('ready', { scope: global ? 'global' : 'subtree' });
+
+  const unsubscribe = subscribe({
+    userId: req.user.id.toString(),
+    permissions: req.permissions,
+    global,
+    send
+  });
+
+  // The heartbeat keeps proxies from closing an idle stream and ends it once
+  // the login session has been revoked.
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await isSessionActive(req.user.sid))) {
+        send('session.revoked', {});
+        return res.end();
+      }
+      res.write(': ping\n\n');
+    } catch (err) {
+      console.error('Event stream heartbeat error:', err);
+    }
+  }, HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
\ No newline at end of file
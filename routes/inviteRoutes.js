@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const Role = require('../models/Role');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { can } = require('../services/permissionService');
+const { body, param } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { canIssueInvite, createInvite, revokeInvite } = require('../services/inviteService');
+const { recordAudit } = require('../services/auditService');
+
+const validateInvite = [
+  body('role')
+    .isIn(['superadmin', 'masteragent', 'agent', 'member', 'staff'])
+    .withMessage('Role must be one of superadmin, masteragent, agent, member or staff'),
+  body('staffRole')
+    .if(body('role').equals('staff'))
+    .trim()
+    .notEmpty().withMessage('staffRole is required for staff invites'),
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('maxUses must be a positive integer'),
+  body('expiresInHours')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 24 * 365 })
+    .withMessage('expiresInHours must be between 1 and 8760'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Note must be less than 255 characters')
+];
+
+const formatInvite = (invite) => ({
+  _id: invite._id,
+  code: invite.code,
+  kind: invite.kind,
+  role: invite.role,
+  staffRole: invite.staffRole,
+  createdBy: invite.createdBy,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  expiresAt: invite.expiresAt,
+  revokedAt: invite.revokedAt,
+  isUsable: invite.isUsable,
+  note: invite.note,
+  createdAt: invite.createdAt
+});
+
+router.use(authenticate, requirePermission('invite.manage'));
+
+router.post('/', validateInvite, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { role, staffRole, maxUses, expiresInHours, note } = req.body;
+
+    if (!canIssueInvite(req.permissions, role)) {
+      return res.status(403).json({ error: `Not allowed to invite ${role} accounts` });
+    }
+
+    if (role === 'staff' && !(await Role.exists({ name: staffRole.toLowerCase(), builtIn: false }))) {
+      return res.status(400).json({ error: `Unknown staff role: ${staffRole}` });
+    }
+
+    const invite = await createInvite({
+      createdBy: req.user.id,
+      role,
+      staffRole,
+      maxUses: maxUses ? parseInt(maxUses, 10) : undefined,
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : undefined,
+      note
+    });
+
+    await recordAudit(req, 'invite.create', {
+      targetType: 'Invite',
+      targetId: invite._id,
+      after: formatInvite(invite)
+    });
+
+    res.status(201).json({
+      message: 'Invite created successfully',
+      invite: formatInvite(invite)
+    });
+  } catch (err) {
+    console.error('Invite creation error:', err);
+    res.status(500).json({
+      error: 'Server error while creating invite',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const filter = can(req.permissions, 'scope.global') ? {} : { createdBy: req.user.id };
+
+    if (req.query.kind) filter.kind = req.query.kind;
+
+    const invites = await Invite.find(filter).sort({ createdAt: -1 }).limit(200);
+
+    res.json(invites.map(formatInvite));
+  } catch (err) {
+    console.error('Error fetching invites:', err);
+    res.status(500).json({ error: 'Server error while fetching invites' });
+  }
+});
+
+router.get('/:id/members', param('id').isMongoId().withMessage('Invalid invite ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const invite = await Invite.findById(req.params.id);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    if (!can(req.permissions, 'scope.global') && invite.createdBy.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied to this invite' });
+    }
+
+    const users = await User.find({ invite: invite._id })
+      .select('username role credit createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      invite: formatInvite(invite),
+      total: users.length,
+      users
+    });
+  } catch (err) {
+    console.error('Error fetching invite members:', err);
+    res.status(500).json({ error: 'Server error while fetching invite members' });
+  }
+});
+
+router.delete('/:id', param('id').isMongoId().withMessage('Invalid invite ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const invite = await Invite.findById(req.params.id);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    if (!can(req.permissions, 'scope.global') && invite.createdBy.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied to this invite' });
+    }
+
+    if (invite.revokedAt) {
+      return res.status(400).json({ error: 'Invite is already revoked' });
+    }
+
+    const before = formatInvite(invite);
+    await revokeInvite(invite, req.user.id);
+
+    await recordAudit(req, 'invite.revoke', {
+      targetType: 'Invite',
+      targetId: invite._id,
+      before,
+      after: formatInvite(invite)
+    });
+
+    res.json({
+      message: 'Invite revoked successfully',
+      invite: formatInvite(invite)
+    });
+  } catch (err) {
+    console.error('Invite revoke error:', err);
+    res.status(500).json({ error: 'Server error while revoking invite' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const JobRun = require('../models/JobRun');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { param, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { listJobs, getJob, startRun, listRuns, getLocks } = require('../services/jobRunner');
+const { recordAudit } = require('../services/auditService');
+
+router.use(authenticate, requirePermission('job.manage'));
+
+router.get('/', async (req, res) => {
+  try {
+    const jobs = listJobs();
+    const [locks, lastRuns] = await Promise.all([
+      getLocks(),
+      Promise.all(jobs.map(job => JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }).lean()))
+    ]);
+
+    const now = new Date();
+    res.json(jobs.map((job, i) => {
+      const lock = locks.find(l => l._id === job.name);
+      return {
+        ...job,
+        running: !!lock && lock.lockedUntil > now,
+        lockedBy: lock && lock.lockedUntil > now ? lock.owner : undefined,
+        lastRun: lastRuns[i] || null
+      };
+    }));
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    res.status(500).json({ error: 'Server error while fetching jobs' });
+  }
+});
+
+router.get('/runs', [
+  query('job').optional().isString().withMessage('Invalid job name'),
+  query('status').optional().isIn(['running', 'succeeded', 'failed']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt()
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const runs = await listRuns(req.query);
+    res.json(runs);
+  } catch (err) {
+    console.error('Error fetching job runs:', err);
+    res.status(500).json({ error: 'Server error while fetching job runs' });
+  }
+});
+
+router.get('/runs/:id', param('id').isMongoId().withMessage('Invalid run ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const run = await JobRun.findById(req.params.id).populate('triggeredBy', 'username');
+    if (!run) {
+      return res.status(404).json({ error: 'Job run not found' });
+    }
+    res.json(run);
+  } catch (err) {
+    console.error('Error fetching job run:', err);
+    res.status(500).json({ error: 'Server error while fetching job run' });
+  }
+});
+
+router.post('/:name/run', async (req, res) => {
+  const { name } = req.params;
+  const job = getJob(name);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  // Unscheduled jobs need params and are started by their own endpoints.
+  if (!job.schedule) {
+    return res.status(400).json({ error: 'This job can only be started through its own endpoint' });
+  }
+
+  try {
+    const started = await startRun(name, { trigger: 'manual', triggeredBy: req.user.id });
+
+    await recordAudit(req, 'job.trigger', {
+      status: started ? 'success' : 'failure',
+      targetType: 'Job',
+      targetId: name,
+      metadata: started ? { run: started.run._id.toString() } : { reason: 'already running' }
+    });
+
+    if (!started) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+
+    // The job keeps running after the response; poll /runs/:id for the result.
+    started.done.catch(err => console.error(`❌ Job ${name} failed:`, err));
+
+    res.status(202).json({ message: 'Job started', run: started.run });
+  } catch (err) {
+    console.error('Error triggering job:', err);
+    res.status(500).json({ error: 'Server error while triggering job' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
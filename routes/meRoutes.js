@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const CreditRequest = require('../models/CreditRequest');
+const { authenticate, requireMember } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { searchTransactions } = require('../services/transactionSearchService');
+const { createCreditRequest } = require('../services/creditRequestService');
+const { idempotency } = require('../middleware/idempotency');
+const { revokeUserSessions } = require('../services/sessionService');
+const { recordAudit } = require('../services/auditService');
+const { TRANSACTION_TYPES } = require('../config/transactionTypes');
+const { formatAmount } = require('../utils/money');
+
+const validateHistory = [
+  query('type')
+    .optional()
+    .isIn(TRANSACTION_TYPES).withMessage(`Type must be one of ${TRANSACTION_TYPES.join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 }).withMessage('Invalid cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+const validatePasswordChange = [
+  body('currentPassword')
+    .trim()
+    .notEmpty().withMessage('Current password is required'),
+  body('newPassword')
+    .trim()
+    .notEmpty().withMessage('New password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+      return true;
+    })
+];
+
+const validateCreditRequest = [
+  body('type')
+    .isIn(['deposit', 'withdrawal']).withMessage('Type must be either "deposit" or "withdrawal"'),
+  body('amount')
+    .isFloat({ min: 0.01, max: 1000000 })
+    .withMessage('Amount must be between 0.01 and 1,000,000')
+    .custom(value => {
+      const decimalPart = value.toString().split('.')[1];
+      if (decimalPart && decimalPart.length > 2) {
+        throw new Error('Amount must have at most 2 decimal places');
+      }
+      return true;
+    })
+    .toFloat(),
+  body('method')
+    .isIn(CreditRequest.schema.path('method').enumValues)
+    .withMessage(`Method must be one of ${CreditRequest.schema.path('method').enumValues.join(', ')}`),
+  body('reference')
+    .if(body('type').equals('deposit'))
+    .trim()
+    .notEmpty().withMessage('A payment reference is required for deposits'),
+  body('reference')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 }).withMessage('Reference must be less than 255 characters'),
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 }).withMessage('Note must be less than 255 characters')
+];
+
+const validateCreditRequestList = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'expired']).withMessage('Invalid status'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+const formatCreditRequest = (request) => ({
+  _id: request._id,
+  type: request.type,
+  amount: request.amount,
+  formattedAmount: formatAmount(request.amount),
+  method: request.method,
+  reference: request.reference,
+  note: request.note,
+  status: request.status,
+  rejectionReason: request.rejectionReason,
+  expiresAt: request.expiresAt,
+  reviewedAt: request.reviewedAt,
+  createdAt: request.createdAt
+});
+
+// Everything below acts on `req.member` only; no route takes a user id.
+router.use(authenticate, requireMember);
+
+router.get('/', (req, res) => {
+  const { member } = req;
+
+  res.json({
+    _id: member._id,
+    username: member.username,
+    role: member.role,
+    status: member.status,
+    credit: member.credit,
+    reservedCredit: member.reservedCredit,
+    availableCredit: member.availableCredit,
+    formattedCredit: formatAmount(member.credit),
+    createdAt: member.createdAt,
+    passwordChangedAt: member.passwordChangedAt
+  });
+});
+
+router.get('/credit', (req, res) => {
+  res.json({
+    credit: req.member.credit,
+    reservedCredit: req.member.reservedCredit,
+    availableCredit: req.member.availableCredit,
+    formattedCredit: formatAmount(req.member.credit),
+    formattedAvailableCredit: formatAmount(req.member.availableCredit),
+    asOf: new Date()
+  });
+});
+
+router.get('/transactions', validateHistory, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const result = await searchTransactions({
+      callerId: req.member._id,
+      member: req.member._id,
+      type: req.query.type,
+      from: req.query.from,
+      to: req.query.to,
+      cursor: req.query.cursor,
+      limit: req.query.limit || 20
+    });
+
+    // Who made an adjustment and which account was on the other side are
+    // other users' data, so only the member's own side of each entry is shown.
+    res.json({
+      transactions: result.transactions.map(t => ({
+        _id: t._id,
+        type: t.type,
+        direction: t.direction,
+        amount: t.amount,
+        oldCredit: t.oldCredit,
+        newCredit: t.newCredit,
+        description: t.description,
+        createdAt: t.createdAt,
+        formattedDate: t.formattedDate,
+        formattedAmount: formatAmount(t.amount),
+        formattedNewCredit: formatAmount(t.newCredit)
+      })),
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor
+    });
+  } catch (err) {
+    if (err.message === 'Invalid cursor') {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error('Error fetching own transactions:', err);
+    res.status(500).json({ error: 'Server error while fetching transactions' });
+  }
+});
+
+router.get('/credit-requests', validateCreditRequestList, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const filter = { member: req.member._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const requests = await CreditRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || 50);
+
+    res.json(requests.map(formatCreditRequest));
+  } catch (err) {
+    console.error('Error fetching own credit requests:', err);
+    res.status(500).json({ error: 'Server error while fetching credit requests' });
+  }
+});
+
+router.post('/credit-requests', idempotency, validateCreditRequest, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { type, amount, method, reference, note } = req.body;
+
+    const { request, member } = await createCreditRequest({
+      memberId: req.member._id,
+      type,
+      amount,
+      method,
+      reference,
+      note
+    });
+
+    await recordAudit(req, 'credit_request.create', {
+      targetType: 'CreditRequest',
+      targetId: request._id,
+      after: request,
+      metadata: { reservedCredit: member.reservedCredit }
+    });
+
+    res.status(201).json({
+      message: `${type === 'deposit' ? 'Deposit' : 'Withdrawal'} request submitted`,
+      request: formatCreditRequest(request),
+      availableCredit: member.availableCredit
+    });
+  } catch (err) {
+    console.error('Credit request creation error:', err);
+
+    if (err.message.includes('Insufficient') || err.message.startsWith('No agent')) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.message.startsWith('Member account is')) {
+      return res.status(403).json({ error: err.message });
+    }
+
+    res.status(500).json({ error: 'Server error while submitting credit request' });
+  }
+});
+
+router.put('/password', validatePasswordChange, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const member = await User.findById(req.member._id);
+
+    const isMatch = await bcrypt.compare(req.body.currentPassword, member.password);
+    if (!isMatch) {
+      await recordAudit(req, 'auth.password_change', {
+        status: 'failure',
+        targetType: 'User',
+        targetId: member._id,
+        metadata: { reason: 'invalid_password' }
+      });
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    member.password = await bcrypt.hash(req.body.newPassword, salt);
+    member.passwordChangedAt = new Date();
+    await member.save();
+
+    // Sign out everywhere else; the session making the change stays valid.
+    const revokedSessions = await revokeUserSessions(member._id, {
+      reason: 'password_change',
+      revokedBy: member._id,
+      exceptSession: req.user.sid
+    });
+
+    await recordAudit(req, 'auth.password_change', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { revokedSessions }
+    });
+
+    res.json({ message: 'Password changed successfully', revokedSessions });
+  } catch (err) {
+    console.error('Password change error:', err);
+    res.status(500).json({ error: 'Server error while changing password' });
+  }
+});
+
+router.get('/agent', async (req, res) => {
+  try {
+    if (!req.member.parent) {
+      return res.status(404).json({ error: 'No agent is assigned to this account' });
+    }
+
+    const agent = await User.findById(req.member.parent).select('username agentCode role');
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    res.json({
+      username: agent.username,
+      agentCode: agent.agentCode,
+      role: agent.role
+    });
+  } catch (err) {
+    console.error('Error fetching agent contact:', err);
+    res.status(500).json({ error: 'Server error while fetching agent' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
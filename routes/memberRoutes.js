@@ -3,42 +3,113 @@ const router = express.Router();
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const AgentStats = require('../models/AgentStats');
-const jwt = require('jsonwebtoken');
-const { body, param, validationResult } = require('express-validator');
-const { calculateCommission, updateAgentStats } = require('../services/commissionService');
+const OutboxEvent = require('../models/OutboxEvent');
+const { body, param } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { updateAgentStats } = require('../services/commissionService');
+const { adjustMemberCredit, moveMember } = require('../services/ledgerService');
+const { idempotency } = require('../middleware/idempotency');
+const { authenticate, requirePermission, checkHierarchyAccess } = require('../middleware/auth');
+const { can } = require('../services/permissionService');
+const { getDescendants, isAgentRole, isAncestor } = require('../services/hierarchyService');
+const { revokeUserSessions } = require('../services/sessionService');
+const bcrypt = require('bcryptjs');
+const runInTransaction = require('../utils/runInTransaction');
+const { recordAudit } = require('../services/auditService');
+const { exportQueryValidators, dateRangeFilter, exportOptions, streamExport } = require('../services/exportService');
+const { formatAmount, fromMinor } = require('../utils/money');
 
-const checkAccess = (req, res, next) => {
-  const token = req.header('x-auth-token');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+const usernameRule = (field = 'username') => body(field)
+  .trim()
+  .notEmpty().withMessage('Username is required')
+  .isLength({ min: 4, max: 30 }).withMessage('Username must be between 4 and 30 characters')
+  .matches(/^[a-zA-Z0-9_]+$/).withMessage('Username can only contain letters, numbers, and underscores');
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    
-    if (decoded.role === 'superadmin') {
-      return next();
-    }
-    
-    if (decoded.role === 'agent') {
-      if (req.params.id) {
-        User.findById(req.params.id)
-          .then(member => {
-            if (!member || member.parent?.toString() !== decoded.id) {
-              return res.status(403).json({ error: 'Access denied to this member' });
-            }
-            next();
-          })
-          .catch(err => res.status(500).json({ error: 'Server error' }));
-      } else {
-        next();
-      }
-      return;
-    }
-    
-    return res.status(403).json({ error: 'Access denied' });
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid or expired token' });
+const passwordRule = () => body('password')
+  .trim()
+  .notEmpty().withMessage('Password is required')
+  .isLength({ min: 6 }).withMessage('Password must be at least 6 characters long');
+
+const validateMemberCreation = [
+  usernameRule(),
+  passwordRule(),
+  body('agent').optional().isMongoId().withMessage('Invalid agent ID')
+];
+
+const validateMemberUpdate = [
+  param('id').isMongoId().withMessage('Invalid member ID'),
+  usernameRule()
+];
+
+const validateStatusChange = [
+  param('id').isMongoId().withMessage('Invalid member ID'),
+  body('status')
+    .isIn(['active', 'suspended', 'closed']).withMessage('Status must be active, suspended or closed'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 255 }).withMessage('Reason must be less than 255 characters')
+];
+
+const validatePasswordReset = [
+  param('id').isMongoId().withMessage('Invalid member ID'),
+  passwordRule()
+];
+
+const validateMove = [
+  param('id').isMongoId().withMessage('Invalid member ID'),
+  body('agent').isMongoId().withMessage('Invalid agent ID')
+];
+
+const formatMember = (member) => ({
+  _id: member._id,
+  username: member.username,
+  role: member.role,
+  status: member.status,
+  statusReason: member.statusReason,
+  credit: member.credit,
+  parent: member.parent,
+  createdAt: member.createdAt,
+  formattedCredit: formatAmount(member.credit)
+});
+
+const findMember = async (req, res) => {
+  const member = await User.findOne({ _id: req.params.id, role: 'member' });
+  if (!member) {
+    res.status(404).json({ error: 'Member not found' });
+    return null;
+  }
+  return member;
+};
+
+// Suspending or closing an account also ends its sessions, so the change takes
+// effect immediately instead of when the access token expires.
+const applyStatus = async (req, member, status, reason) => {
+  if (member.status === 'closed') {
+    throw new Error('Closed accounts cannot be changed');
   }
+  if (status === 'closed' && member.credit > 0) {
+    throw new Error(`Member still holds credit: ${member.credit.toFixed(2)}. Deduct it before closing the account`);
+  }
+
+  const before = { status: member.status, statusReason: member.statusReason };
+
+  member.status = status;
+  member.statusReason = reason;
+  member.statusChangedAt = new Date();
+  member.statusChangedBy = req.user.id;
+  await member.save();
+
+  if (status !== 'active') {
+    await revokeUserSessions(member._id, { reason: 'admin', revokedBy: req.user.id });
+  }
+
+  await recordAudit(req, `member.${status === 'active' ? 'activate' : status === 'suspended' ? 'suspend' : 'close'}`, {
+    targetType: 'User',
+    targetId: member._id,
+    before,
+    after: { status: member.status, statusReason: member.statusReason }
+  });
 };
 
 const validateCreditAdjustment = [
@@ -64,33 +135,29 @@ const validateCreditAdjustment = [
     .withMessage('Description must be less than 255 characters')
 ];
 
-router.get('/', checkAccess, async (req, res) => {
+router.get('/', authenticate, requirePermission('member.view'), async (req, res) => {
   try {
     let members;
     
-    if (req.user.role === 'superadmin') {
+    if (can(req.permissions, 'scope.global')) {
       members = await User.find({ 
         role: 'member',
         parent: { $exists: false } 
       }).select('-password -__v').sort({ createdAt: -1 });
-    } else if (req.user.role === 'agent') {
-      members = await User.find({ 
-        parent: req.user.id,
-        role: 'member'
-      }).select('-password -__v').sort({ createdAt: -1 });
+    } else {
+      members = (await getDescendants(req.user.id, { roles: ['member'] }))
+        .sort((a, b) => b.createdAt - a.createdAt);
     }
     
     const formattedMembers = members.map(member => ({
       _id: member._id,
       username: member.username,
       role: member.role,
+      status: member.status,
       credit: member.credit,
       createdAt: member.createdAt,
       parent: member.parent,
-      formattedCredit: member.credit.toLocaleString('th-TH', { 
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      })
+      formattedCredit: formatAmount(member.credit)
     }));
     
     res.json(formattedMembers);
@@ -100,52 +167,51 @@ router.get('/', checkAccess, async (req, res) => {
   }
 });
 
-router.put('/:id/credit', checkAccess, validateCreditAdjustment, async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ 
-      errors: errors.array().map(err => ({
-        field: err.param,
-        message: err.msg
-      }))
-    });
-  }
+router.put('/:id/credit', authenticate, requirePermission('credit.adjust'), checkHierarchyAccess(), idempotency, validateCreditAdjustment, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
 
   try {
     const { amount, type, description = 'Manual credit adjustment' } = req.body;
     const memberId = req.params.id;
     
-    const member = await User.findById(memberId);
+    // Agent floats are adjusted through /api/agents/:id/credit.
+    const member = await User.findOne({ _id: memberId, role: 'member' });
     if (!member) {
       return res.status(404).json({ error: 'Member not found' });
     }
     
-    if (req.user.role === 'agent' && (!member.parent || member.parent.toString() !== req.user.id)) {
-      return res.status(403).json({ error: 'Access denied to this member' });
-    }
-    
-    if (type === 'deduct' && member.credit < amount) {
+    if (type === 'deduct' && member.availableCredit < amount) {
       return res.status(400).json({ 
-        error: `Insufficient credit. Current credit: ${member.credit.toFixed(2)}` 
+        error: `Insufficient credit. Available credit: ${member.availableCredit.toFixed(2)}` 
       });
     }
 
-    const result = await member.updateCredit(
-      amount, 
-      type, 
-      req.user.id, 
-      `${description} by ${req.user.username}`
-    );
+    const result = await adjustMemberCredit({
+      memberId,
+      amount,
+      type,
+      adjustedBy: req.user.id,
+      description: `${description} by ${req.user.username}`
+    });
     
-    if (member.parent && type === 'add') {
+    if (member.parent) {
       await updateAgentStats(member.parent);
-      await calculateCommission(
-        member.parent, 
-        amount * 0.01,
-        `Manual credit adjustment for ${member.username}`
-      );
     }
 
+    await recordAudit(req, 'credit.adjust', {
+      targetType: 'User',
+      targetId: result.member._id,
+      before: { credit: result.transaction.oldCredit },
+      after: { credit: result.transaction.newCredit },
+      metadata: {
+        amount,
+        type,
+        description,
+        transaction: result.transaction._id,
+        agentTransaction: result.agentTransaction?._id
+      }
+    });
+
     res.json({
       success: true,
       member: {
@@ -153,33 +219,48 @@ router.put('/:id/credit', checkAccess, validateCreditAdjustment, async (req, res
         username: result.member.username,
         credit: result.member.credit,
         role: result.member.role,
-        formattedCredit: result.member.credit.toLocaleString('th-TH', { 
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2
-        })
+        formattedCredit: formatAmount(result.member.credit)
       },
       transaction: {
         _id: result.transaction._id,
         amount: result.transaction.amount,
         type: result.transaction.type,
         timestamp: result.transaction.createdAt,
-        formattedAmount: result.transaction.amount.toLocaleString('th-TH', { 
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2
-        })
-      }
+        formattedAmount: formatAmount(result.transaction.amount)
+      },
+      agentFloat: result.agent ? {
+        _id: result.agent._id,
+        credit: result.agent.credit,
+        transactionId: result.agentTransaction._id,
+        formattedCredit: formatAmount(result.agent.credit)
+      } : undefined
     });
   } catch (err) {
     console.error('Error updating credit:', err);
     
+    await recordAudit(req, 'credit.adjust', {
+      status: 'failure',
+      targetType: 'User',
+      targetId: req.params.id,
+      metadata: { amount: req.body.amount, type: req.body.type, error: err.message }
+    });
+    
     if (err.name === 'CastError') {
       return res.status(400).json({ error: 'Invalid member ID format' });
     }
     
-    if (err.message.includes('Insufficient credit')) {
+    if (err.message === 'Member not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    
+    if (err.message.includes('Insufficient') || err.message.startsWith('Member account is')) {
       return res.status(400).json({ error: err.message });
     }
     
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ error: 'Credit was changed by another request, please try again' });
+    }
+    
     res.status(500).json({ 
       error: 'Server error while updating credit',
       details: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -187,7 +268,7 @@ router.put('/:id/credit', checkAccess, validateCreditAdjustment, async (req, res
   }
 });
 
-router.get('/:id/transactions', checkAccess, async (req, res) => {
+router.get('/:id/transactions', authenticate, requirePermission('member.view'), checkHierarchyAccess(), async (req, res) => {
   try {
     const memberId = req.params.id;
     
@@ -195,10 +276,6 @@ router.get('/:id/transactions', checkAccess, async (req, res) => {
     if (!member) {
       return res.status(404).json({ error: 'Member not found' });
     }
-    
-    if (req.user.role === 'agent' && member.parent?.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied to this member' });
-    }
 
     const transactions = await Transaction.find({ user: memberId })
       .sort({ createdAt: -1 })
@@ -209,34 +286,29 @@ router.get('/:id/transactions', checkAccess, async (req, res) => {
       _id: transaction._id,
       amount: transaction.amount,
       type: transaction.type,
+      direction: transaction.direction,
       oldCredit: transaction.oldCredit,
       newCredit: transaction.newCredit,
       description: transaction.description,
       createdAt: transaction.createdAt,
       formattedDate: transaction.formattedDate,
-      formattedAmount: transaction.amount.toLocaleString('th-TH', { 
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      }),
-      formattedOldCredit: transaction.oldCredit.toLocaleString('th-TH', { 
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      }),
-      formattedNewCredit: transaction.newCredit.toLocaleString('th-TH', { 
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      })
+      formattedAmount: formatAmount(transaction.amount),
+      formattedOldCredit: formatAmount(transaction.oldCredit),
+      formattedNewCredit: formatAmount(transaction.newCredit)
     }));
 
+    await recordAudit(req, 'member.view', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { view: 'transactions', count: transactions.length }
+    });
+
     res.json({
       member: {
         _id: member._id,
         username: member.username,
         currentCredit: member.credit,
-        formattedCurrentCredit: member.credit.toLocaleString('th-TH', { 
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2
-        })
+        formattedCurrentCredit: formatAmount(member.credit)
       },
       transactions: formattedTransactions
     });
@@ -254,11 +326,62 @@ router.get('/:id/transactions', checkAccess, async (req, res) => {
   }
 });
 
-router.get('/stats', checkAccess, async (req, res) => {
+router.get('/:id/transactions/export', authenticate, requirePermission('member.view'), checkHierarchyAccess(), exportQueryValidators, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const member = await User.findById(req.params.id).select('username');
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const filter = { user: member._id };
+    const createdAt = dateRangeFilter(req.query.from, req.query.to);
+    if (createdAt) filter.createdAt = createdAt;
+
+    await recordAudit(req, 'member.transactions.export', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { format: req.query.format || 'csv', from: req.query.from, to: req.query.to }
+    });
+
+    const cursor = Transaction.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('adjustedBy', 'username')
+      .lean()
+      .cursor();
+
+    await streamExport(res, exportOptions(req, `transactions-${member.username}`, [
+      { header: 'Date', key: 'createdAt', type: 'date' },
+      { header: 'Transaction ID', key: 'id', width: 26 },
+      { header: 'Type', key: 'type' },
+      { header: 'Direction', key: 'direction' },
+      { header: 'Amount', key: 'amount', type: 'number' },
+      { header: 'Old Credit', key: 'oldCredit', type: 'number' },
+      { header: 'New Credit', key: 'newCredit', type: 'number' },
+      { header: 'Adjusted By', key: 'adjustedBy' },
+      { header: 'Round ID', key: 'roundId' },
+      { header: 'Description', key: 'description', width: 40 }
+    ]), cursor, t => ({
+      ...t,
+      id: t._id.toString(),
+      amount: fromMinor(t.amount),
+      oldCredit: fromMinor(t.oldCredit),
+      newCredit: fromMinor(t.newCredit),
+      adjustedBy: t.adjustedBy?.username
+    }));
+  } catch (err) {
+    if (res.headersSent) return;
+    console.error('Error exporting transactions:', err);
+    res.status(500).json({ error: 'Server error while exporting transactions' });
+  }
+});
+
+router.get('/stats', authenticate, requirePermission('member.view'), async (req, res) => {
   try {
     let stats;
     
-    if (req.user.role === 'superadmin') {
+    if (can(req.permissions, 'scope.global')) {
       const [totalMembers, activeMembers, totalCredit] = await Promise.all([
         User.countDocuments({ role: 'member', parent: { $exists: false } }),
         User.countDocuments({ role: 'member', parent: { $exists: false }, credit: { $gt: 0 } }),
@@ -268,19 +391,16 @@ router.get('/stats', checkAccess, async (req, res) => {
         ])
       ]);
 
-      const totalCreditValue = totalCredit[0]?.total || 0;
+      const totalCreditValue = fromMinor(totalCredit[0]?.total);
 
       stats = {
         totalMembers,
         activeMembers,
         totalCredit: parseFloat(totalCreditValue.toFixed(2)),
         inactiveMembers: totalMembers - activeMembers,
-        formattedTotalCredit: totalCreditValue.toLocaleString('th-TH', { 
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2
-        })
+        formattedTotalCredit: formatAmount(totalCreditValue)
       };
-    } else if (req.user.role === 'agent') {
+    } else {
       const agentStats = await AgentStats.findOne({ agent: req.user.id });
       stats = {
         totalMembers: agentStats?.totalMembers || 0,
@@ -288,14 +408,8 @@ router.get('/stats', checkAccess, async (req, res) => {
         totalCredit: agentStats?.totalCredit || 0,
         totalCommission: agentStats?.totalCommission || 0,
         commissionRate: agentStats?.commissionRate || 0.05,
-        formattedTotalCredit: (agentStats?.totalCredit || 0).toLocaleString('th-TH', { 
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2
-        }),
-        formattedTotalCommission: (agentStats?.totalCommission || 0).toLocaleString('th-TH', { 
-          minimumFractionDigits: 2,
-          maximumFractionDigits: 2
-        })
+        formattedTotalCredit: formatAmount(agentStats?.totalCredit || 0),
+        formattedTotalCommission: formatAmount(agentStats?.totalCommission || 0)
       };
     }
     
@@ -306,7 +420,273 @@ router.get('/stats', checkAccess, async (req, res) => {
   }
 });
 
+
+router.post('/', authenticate, requirePermission('member.manage'), validateMemberCreation, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { username, password, agent } = req.body;
+    const global = can(req.permissions, 'scope.global');
+
+    let parent;
+    if (agent) {
+      const agentUser = await User.findById(agent).select('role');
+      if (!agentUser || !isAgentRole(agentUser.role)) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      if (!global && agent !== req.user.id && !(await isAncestor(req.user.id, agent))) {
+        return res.status(403).json({ error: 'Agent is outside your hierarchy' });
+      }
+      parent = agentUser._id;
+    } else if (isAgentRole(req.user.role)) {
+      parent = req.user.id;
+    } else if (!global) {
+      return res.status(400).json({ error: 'An agent is required' });
+    }
+
+    if (await User.exists({ username })) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const member = await runInTransaction(async (session) => {
+      const [created] = await User.create([{
+        username,
+        password: hashedPassword,
+        role: 'member',
+        parent
+      }], { session });
+
+      await OutboxEvent.enqueue('member.created', {
+        user: created._id,
+        username: created.username,
+        parent: created.parent,
+        status: created.status,
+        source: 'agent',
+        createdBy: req.user.id,
+        createdAt: created.createdAt
+      }, { session });
+
+      return created;
+    });
+
+    if (parent) {
+      await updateAgentStats(parent);
+    }
+
+    await recordAudit(req, 'member.create', {
+      targetType: 'User',
+      targetId: member._id,
+      after: member
+    });
+
+    res.status(201).json({ message: 'Member created successfully', member: formatMember(member) });
+  } catch (err) {
+    console.error('Member creation error:', err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    res.status(500).json({ error: 'Server error while creating member' });
+  }
+});
+
+router.get('/:id', authenticate, requirePermission('member.view'), checkHierarchyAccess(), async (req, res) => {
+  try {
+    const member = await findMember(req, res);
+    if (!member) return;
+
+    await recordAudit(req, 'member.view', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { view: 'profile' }
+    });
+
+    res.json({
+      ...formatMember(member),
+      statusChangedAt: member.statusChangedAt,
+      passwordChangedAt: member.passwordChangedAt
+    });
+  } catch (err) {
+    console.error('Error fetching member:', err);
+    res.status(500).json({ error: 'Server error while fetching member' });
+  }
+});
+
+router.patch('/:id', authenticate, requirePermission('member.manage'), checkHierarchyAccess(), validateMemberUpdate, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const member = await findMember(req, res);
+    if (!member) return;
+
+    const { username } = req.body;
+    if (username !== member.username && await User.exists({ username })) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    const before = { username: member.username };
+    member.username = username;
+    await member.save();
+
+    await recordAudit(req, 'member.update', {
+      targetType: 'User',
+      targetId: member._id,
+      before,
+      after: { username: member.username }
+    });
+
+    res.json({ message: 'Member updated successfully', member: formatMember(member) });
+  } catch (err) {
+    console.error('Member update error:', err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ error: 'Member was changed by another request, please try again' });
+    }
+
+    res.status(500).json({ error: 'Server error while updating member' });
+  }
+});
+
+router.put('/:id/status', authenticate, requirePermission('member.manage'), checkHierarchyAccess(), validateStatusChange, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const member = await findMember(req, res);
+    if (!member) return;
+
+    await applyStatus(req, member, req.body.status, req.body.reason);
+
+    res.json({ message: `Member is now ${member.status}`, member: formatMember(member) });
+  } catch (err) {
+    console.error('Member status change error:', err);
+
+    if (err.message.includes('cannot be changed') || err.message.includes('still holds credit')) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ error: 'Member was changed by another request, please try again' });
+    }
+
+    res.status(500).json({ error: 'Server error while changing member status' });
+  }
+});
+
+router.delete('/:id', authenticate, requirePermission('member.manage'), checkHierarchyAccess(), async (req, res) => {
+  try {
+    const member = await findMember(req, res);
+    if (!member) return;
+
+    // Members are never removed: their ledger has to stay intact, so deleting
+    // an account closes it.
+    await applyStatus(req, member, 'closed', req.body?.reason || 'Deleted');
+
+    res.json({ message: 'Member account closed', member: formatMember(member) });
+  } catch (err) {
+    console.error('Member deletion error:', err);
+
+    if (err.message.includes('cannot be changed') || err.message.includes('still holds credit')) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ error: 'Member was changed by another request, please try again' });
+    }
+
+    res.status(500).json({ error: 'Server error while closing member account' });
+  }
+});
+
+router.put('/:id/password', authenticate, requirePermission('member.manage'), checkHierarchyAccess(), validatePasswordReset, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const member = await findMember(req, res);
+    if (!member) return;
+
+    const salt = await bcrypt.genSalt(10);
+    member.password = await bcrypt.hash(req.body.password, salt);
+    member.passwordChangedAt = new Date();
+    await member.save();
+
+    const revokedSessions = await revokeUserSessions(member._id, { reason: 'admin', revokedBy: req.user.id });
+
+    await recordAudit(req, 'member.password_reset', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { revokedSessions }
+    });
+
+    res.json({ message: 'Password reset successfully', revokedSessions });
+  } catch (err) {
+    console.error('Member password reset error:', err);
+    res.status(500).json({ error: 'Server error while resetting password' });
+  }
+});
+
+router.put('/:id/parent', authenticate, requirePermission('member.move'), checkHierarchyAccess(), validateMove, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    if (!can(req.permissions, 'scope.global')
+      && req.body.agent !== req.user.id
+      && !(await isAncestor(req.user.id, req.body.agent))) {
+      return res.status(403).json({ error: 'Agent is outside your hierarchy' });
+    }
+
+    const result = await moveMember({
+      memberId: req.params.id,
+      toAgentId: req.body.agent,
+      movedBy: req.user.id
+    });
+
+    await Promise.all([
+      result.fromAgent && updateAgentStats(result.fromAgent._id),
+      updateAgentStats(result.toAgent._id)
+    ]);
+
+    await recordAudit(req, 'member.move', {
+      targetType: 'User',
+      targetId: result.member._id,
+      before: { parent: result.fromAgent?._id },
+      after: { parent: result.toAgent._id },
+      metadata: {
+        credit: result.member.credit,
+        fromAgentTransaction: result.fromAgentTransaction?._id,
+        toAgentTransaction: result.toAgentTransaction?._id
+      }
+    });
+
+    res.json({
+      message: `Member moved to ${result.toAgent.username}`,
+      member: formatMember(result.member)
+    });
+  } catch (err) {
+    console.error('Member move error:', err);
+
+    await recordAudit(req, 'member.move', {
+      status: 'failure',
+      targetType: 'User',
+      targetId: req.params.id,
+      metadata: { agent: req.body.agent, error: err.message }
+    });
+
+    if (err.message.endsWith('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message.includes('Insufficient') || err.message.includes('already belongs')) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.status(500).json({ error: 'Server error while moving member' });
+  }
+});
+
 module.exports = {
-  router,
-  checkAccess
+  router
 };
\ No newline at end of file
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const LedgerDiscrepancy = require('../models/LedgerDiscrepancy');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { body, param, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { replayLedger, resolveDiscrepancy } = require('../services/reconciliationService');
+const { recordAudit } = require('../services/auditService');
+const { subtractMoney } = require('../utils/money');
+
+router.use(authenticate, requirePermission('ledger.reconcile'));
+
+router.get('/discrepancies', [
+  query('status').optional().isIn(['open', 'resolved', 'cleared']).withMessage('Invalid status'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt()
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const filter = { status: req.query.status || 'open' };
+    if (req.query.user) filter.user = req.query.user;
+
+    const discrepancies = await LedgerDiscrepancy.find(filter)
+      .populate('user', 'username role credit')
+      .populate('resolvedBy', 'username')
+      .select('-chainBreakSamples -amountMismatchSamples')
+      .sort({ lastSeenAt: -1 })
+      .limit(req.query.limit || 100);
+
+    res.json(discrepancies);
+  } catch (err) {
+    console.error('Error fetching ledger discrepancies:', err);
+    res.status(500).json({ error: 'Server error while fetching discrepancies' });
+  }
+});
+
+router.get('/discrepancies/:id', param('id').isMongoId().withMessage('Invalid discrepancy ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const discrepancy = await LedgerDiscrepancy.findById(req.params.id)
+      .populate('user', 'username role credit')
+      .populate('resolvedBy', 'username')
+      .populate('adjustmentTransaction');
+    if (!discrepancy) {
+      return res.status(404).json({ error: 'Discrepancy not found' });
+    }
+
+    res.json(discrepancy);
+  } catch (err) {
+    console.error('Error fetching ledger discrepancy:', err);
+    res.status(500).json({ error: 'Server error while fetching discrepancy' });
+  }
+});
+
+// Replays one account on demand, e.g. to confirm a fix before resolving.
+router.get('/users/:id', param('id').isMongoId().withMessage('Invalid user ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const user = await User.findById(req.params.id).select('username role credit');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { ledgerCents, ...replay } = await replayLedger(user._id);
+
+    res.json({
+      user,
+      storedBalance: user.credit,
+      ...replay,
+      difference: subtractMoney(user.credit, replay.ledgerBalance)
+    });
+  } catch (err) {
+    console.error('Error replaying ledger:', err);
+    res.status(500).json({ error: 'Server error while replaying ledger' });
+  }
+});
+
+router.post('/discrepancies/:id/resolve', idempotency, [
+  param('id').isMongoId().withMessage('Invalid discrepancy ID'),
+  body('note')
+    .isString().withMessage('A resolution note is required')
+    .trim()
+    .isLength({ min: 3, max: 200 }).withMessage('Note must be between 3 and 200 characters')
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { discrepancy, adjustment, user } = await resolveDiscrepancy({
+      discrepancyId: req.params.id,
+      resolvedBy: req.user.id,
+      note: req.body.note
+    });
+
+    await recordAudit(req, 'ledger.discrepancy.resolve', {
+      targetType: 'LedgerDiscrepancy',
+      targetId: discrepancy._id,
+      before: { status: 'open' },
+      after: { status: discrepancy.status },
+      metadata: {
+        user: user._id,
+        note: req.body.note,
+        adjustment: adjustment?._id,
+        amount: adjustment?.amount,
+        direction: adjustment?.direction
+      }
+    });
+
+    res.json({
+      message: adjustment ? 'Discrepancy resolved with an adjusting entry' : 'Discrepancy resolved',
+      discrepancy,
+      adjustment
+    });
+  } catch (err) {
+    console.error('Ledger discrepancy resolution error:', err);
+
+    if (err.message.endsWith('not found') || err.message.endsWith('no longer exists')) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message.startsWith('Discrepancy is already')) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ error: 'Balance was changed by another request, please try again' });
+    }
+
+    res.status(500).json({ error: 'Server error while resolving discrepancy' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
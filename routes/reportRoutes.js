@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate, requirePermission, loadPermissions } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { can } = require('../services/permissionService');
+const { isAgentRole } = require('../services/hierarchyService');
+const DailyReport = require('../models/DailyReport');
+const JobRun = require('../models/JobRun');
+const {
+  generateReport,
+  generatePeriodSummary,
+  generateWeeklySummary,
+  generateMonthlySummary,
+  getIsoWeek,
+  resolveBackfillRange
+} = require('../services/reportService');
+const { startRun } = require('../services/jobRunner');
+const { exportFormatValidators, dateRangeFilter, exportOptions, streamExport } = require('../services/exportService');
+const { recordAudit } = require('../services/auditService');
+const { toDateKey } = require('../utils/businessTime');
+const { fromMinor } = require('../utils/money');
+
+const MAX_RANGE_DAYS = 366;
+
+const validateRange = [
+  query('from')
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .isISO8601().withMessage('to must be an ISO 8601 date')
+    .custom((value, { req }) => {
+      const days = (new Date(value) - new Date(req.query.from)) / (24 * 60 * 60 * 1000);
+      if (days < 0) {
+        throw new Error('to must not be before from');
+      }
+      if (days > MAX_RANGE_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+      }
+      return true;
+    }),
+  query('agent').optional().isMongoId().withMessage('Invalid agent ID')
+];
+
+const validateWeek = [
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year').toInt(),
+  query('week').optional().isInt({ min: 1, max: 53 }).withMessage('Week must be between 1 and 53').toInt(),
+  query('agent').optional().isMongoId().withMessage('Invalid agent ID')
+];
+
+const validateMonth = [
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year').toInt(),
+  query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12').toInt(),
+  query('agent').optional().isMongoId().withMessage('Invalid agent ID')
+];
+
+const validateBackfill = [
+  body('from')
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+  body('to')
+    .isISO8601().withMessage('to must be an ISO 8601 date')
+    .custom((value, { req }) => {
+      const days = (new Date(value) - new Date(req.body.from)) / (24 * 60 * 60 * 1000);
+      if (days < 0) {
+        throw new Error('to must not be before from');
+      }
+      if (days > MAX_RANGE_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+      }
+      return true;
+    }),
+  body('missingOnly')
+    .optional()
+    .isBoolean().withMessage('missingOnly must be a boolean')
+    .toBoolean()
+];
+
+// Users with global scope see full reports (or one agent's slice when they ask
+// for it); agents always get their own slice and nothing else.
+const resolveScope = async (req, res, next) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    if (can(await loadPermissions(req), 'scope.global')) {
+      req.reportScope = { agentId: req.query.agent };
+      return next();
+    }
+
+    if (!isAgentRole(req.user.role)) {
+      return res.status(403).json({ error: 'Reports are only available to agents and global administrators' });
+    }
+
+    if (req.query.agent && req.query.agent !== req.user.id) {
+      return res.status(403).json({ error: 'You can only view your own reports' });
+    }
+
+    req.reportScope = { agentId: req.user.id };
+    next();
+  } catch (err) {
+    console.error('Report scope error:', err);
+    res.status(500).json({ error: 'Server error while checking report access' });
+  }
+};
+
+router.use(authenticate, requirePermission('report.view'));
+
+router.get('/daily', validateRange, resolveScope, async (req, res) => {
+  try {
+    const reports = await generateReport(req.query.from, req.query.to, req.reportScope);
+    res.json(reports);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error while generating report' });
+  }
+});
+
+// One row per day, or per day and agent with `detail=agents`. Agents always
+// get rows for their own slice only. The cursor is lean, so money is in minor
+// units.
+async function* dailyExportRows(cursor, { agentId, detail }) {
+  const names = {};
+  const agentName = async (id) => {
+    const key = id.toString();
+    if (!(key in names)) {
+      const agent = await User.findById(id).select('username').lean();
+      names[key] = agent ? agent.username : 'Unknown Agent';
+    }
+    return names[key];
+  };
+
+  try {
+    for await (const report of cursor) {
+      const slices = agentId
+        ? report.agentReports.filter(ar => ar.agent.toString() === agentId.toString())
+        : report.agentReports;
+
+      if (!agentId && detail !== 'agents') {
+        yield {
+          date: report.date,
+          totalMembers: report.totalMembers,
+          activeMembers: report.activeMembers,
+          transactions: report.totalTransactions,
+          creditAdded: fromMinor(report.totalCreditAdded),
+          creditDeducted: fromMinor(report.totalCreditDeducted),
+          creditMovement: fromMinor(report.totalCreditMovement),
+          commission: fromMinor(report.totalCommission)
+        };
+        continue;
+      }
+
+      for (const slice of slices) {
+        yield {
+          date: report.date,
+          agent: await agentName(slice.agent),
+          members: slice.members,
+          activeMembers: slice.activeMembers,
+          transactions: slice.transactions,
+          creditAdded: fromMinor(slice.creditAdded),
+          creditDeducted: fromMinor(slice.creditDeducted),
+          creditMovement: fromMinor(slice.creditMovement),
+          commission: fromMinor(slice.commission)
+        };
+      }
+    }
+  } finally {
+    // Also runs when the consumer stops early, e.g. the client disconnected.
+    await cursor.close();
+  }
+}
+
+router.get('/daily/export', validateRange, exportFormatValidators, query('detail').optional().isIn(['agents']), resolveScope, async (req, res) => {
+  try {
+    const { agentId } = req.reportScope;
+    const detailed = !!agentId || req.query.detail === 'agents';
+
+    await recordAudit(req, 'report.export', {
+      targetType: 'DailyReport',
+      metadata: { format: req.query.format || 'csv', from: req.query.from, to: req.query.to, agent: agentId }
+    });
+
+    const cursor = DailyReport.find({ date: dateRangeFilter(toDateKey(req.query.from), toDateKey(req.query.to)) })
+      .sort({ date: 1 })
+      .lean()
+      .cursor();
+
+    const columns = detailed
+      ? [
+        { header: 'Date', key: 'date', type: 'day' },
+        { header: 'Agent', key: 'agent' },
+        { header: 'Members', key: 'members', type: 'integer' },
+        { header: 'Active Members', key: 'activeMembers', type: 'integer' },
+        { header: 'Transactions', key: 'transactions', type: 'integer' },
+        { header: 'Credit Added', key: 'creditAdded', type: 'number' },
+        { header: 'Credit Deducted', key: 'creditDeducted', type: 'number' },
+        { header: 'Credit Movement', key: 'creditMovement', type: 'number' },
+        { header: 'Commission', key: 'commission', type: 'number' }
+      ]
+      : [
+        { header: 'Date', key: 'date', type: 'day' },
+        { header: 'Total Members', key: 'totalMembers', type: 'integer' },
+        { header: 'Active Members', key: 'activeMembers', type: 'integer' },
+        { header: 'Transactions', key: 'transactions', type: 'integer' },
+        { header: 'Credit Added', key: 'creditAdded', type: 'number' },
+        { header: 'Credit Deducted', key: 'creditDeducted', type: 'number' },
+        { header: 'Credit Movement', key: 'creditMovement', type: 'number' },
+        { header: 'Commission', key: 'commission', type: 'number' }
+      ];
+
+    await streamExport(
+      res,
+      exportOptions(req, `daily-reports-${req.query.from}-${req.query.to}`, columns),
+      dailyExportRows(cursor, { agentId, detail: req.query.detail })
+    );
+  } catch (err) {
+    if (res.headersSent) return;
+    console.error('Error exporting daily reports:', err);
+    res.status(500).json({ error: 'Server error while exporting reports' });
+  }
+});
+
+router.get('/weekly', validateWeek, resolveScope, async (req, res) => {
+  try {
+    const current = getIsoWeek(new Date());
+    const year = req.query.year || current.year;
+    const week = req.query.week || (year === current.year ? current.week : 1);
+
+    const summary = await generateWeeklySummary(year, week, req.reportScope);
+    res.json(summary);
+  } catch (err) {
+    if (err.message.startsWith('Week number')) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Server error while generating weekly summary' });
+  }
+});
+
+router.get('/monthly', validateMonth, resolveScope, async (req, res) => {
+  try {
+    const [currentYear, currentMonth] = toDateKey(new Date()).split('-').map(Number);
+    const year = req.query.year || currentYear;
+    const month = req.query.month || currentMonth;
+
+    const summary = await generateMonthlySummary(year, month, req.reportScope);
+    res.json(summary);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error while generating monthly summary' });
+  }
+});
+
+router.get('/summary', validateRange, resolveScope, async (req, res) => {
+  try {
+    const summary = await generatePeriodSummary(req.query.from, req.query.to, req.reportScope);
+    res.json(summary);
+  } catch (err) {
+    console.error('Error generating period summary:', err);
+    res.status(500).json({ error: 'Server error while generating summary' });
+  }
+});
+
+// Backfills run through the job runner, so only one runs at a time and each
+// leaves a JobRun; poll GET /backfill/:runId for the outcome.
+router.post('/backfill', requirePermission('report.manage'), validateBackfill, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  let params;
+  try {
+    const { fromKey, toKey } = resolveBackfillRange(req.body);
+    params = { from: fromKey, to: toKey, missingOnly: !!req.body.missingOnly };
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const started = await startRun('report-backfill', { trigger: 'manual', triggeredBy: req.user.id, params });
+
+    await recordAudit(req, 'report.backfill', {
+      status: started ? 'success' : 'failure',
+      targetType: 'DailyReport',
+      metadata: started ? { ...params, run: started.run._id.toString() } : { ...params, reason: 'already running' }
+    });
+
+    if (!started) {
+      return res.status(409).json({ error: 'A report backfill is already running' });
+    }
+
+    started.done.catch(err => console.error('❌ Daily report backfill failed:', err));
+
+    res.status(202).json({ message: 'Backfill started', run: started.run });
+  } catch (err) {
+    console.error('Daily report backfill error:', err);
+    res.status(500).json({ error: 'Server error while starting the backfill' });
+  }
+});
+
+router.get('/backfill/:runId', requirePermission('report.manage'), param('runId').isMongoId().withMessage('Invalid run ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const run = await JobRun.findOne({ _id: req.params.runId, job: 'report-backfill' })
+      .populate('triggeredBy', 'username');
+    if (!run) {
+      return res.status(404).json({ error: 'Backfill run not found' });
+    }
+    res.json(run);
+  } catch (err) {
+    console.error('Error fetching backfill run:', err);
+    res.status(500).json({ error: 'Server error while fetching backfill run' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,285 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const {
+  getRolePermissions,
+  getEffectivePermissions,
+  invalidateRoleCache,
+  isValidPermission
+} = require('../services/permissionService');
+const { recordAudit } = require('../services/auditService');
+
+const BUILT_IN_ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+const permissionList = (field) => body(field)
+  .optional()
+  .isArray().withMessage(`${field} must be an array`)
+  .custom(values => {
+    const unknown = values.filter(v => !isValidPermission(v));
+    if (unknown.length) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    return true;
+  });
+
+const validateRole = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_]{3,40}$/).withMessage('Role name must be 3-40 lowercase letters, numbers or underscores'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 255 }).withMessage('Description must be less than 255 characters'),
+  permissionList('permissions')
+];
+
+const validateRoleUpdate = [
+  param('name').trim().toLowerCase(),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 255 }).withMessage('Description must be less than 255 characters'),
+  permissionList('permissions')
+];
+
+const validateUserAccess = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('staffRole')
+    .optional()
+    .trim()
+    .toLowerCase(),
+  permissionList('grant'),
+  permissionList('revoke')
+];
+
+router.use(authenticate, requirePermission('role.manage'));
+
+router.get('/permissions', (req, res) => {
+  res.json(PERMISSIONS);
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const stored = await Role.find().sort({ name: 1 }).lean();
+    const storedByName = {};
+    stored.forEach(role => {
+      storedByName[role.name] = role;
+    });
+
+    const builtIn = await Promise.all(BUILT_IN_ROLES.map(async name => ({
+      name,
+      builtIn: true,
+      customized: !!storedByName[name],
+      permissions: await getRolePermissions(name)
+    })));
+
+    const custom = stored
+      .filter(role => !BUILT_IN_ROLES.includes(role.name))
+      .map(role => ({
+        name: role.name,
+        description: role.description,
+        builtIn: false,
+        permissions: role.permissions,
+        updatedAt: role.updatedAt
+      }));
+
+    res.json([...builtIn, ...custom]);
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).json({ error: 'Server error while fetching roles' });
+  }
+});
+
+router.post('/', validateRole, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (BUILT_IN_ROLES.includes(name)) {
+      return res.status(400).json({ error: 'Built-in roles cannot be created, update them instead' });
+    }
+
+    if (await Role.exists({ name })) {
+      return res.status(400).json({ error: 'Role already exists' });
+    }
+
+    const role = await Role.create({ name, description, permissions, updatedBy: req.user.id });
+    invalidateRoleCache();
+
+    await recordAudit(req, 'role.create', { targetType: 'Role', targetId: role.name, after: role });
+
+    res.status(201).json({ message: 'Role created successfully', role });
+  } catch (err) {
+    console.error('Role creation error:', err);
+    res.status(500).json({ error: 'Server error while creating role' });
+  }
+});
+
+router.put('/:name', validateRoleUpdate, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { name } = req.params;
+    const { description, permissions } = req.body;
+
+    if (name === 'superadmin') {
+      return res.status(400).json({ error: 'Super Admin permissions cannot be changed' });
+    }
+
+    const isBuiltIn = BUILT_IN_ROLES.includes(name);
+    if (!isBuiltIn && !(await Role.exists({ name }))) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const update = { $set: { updatedBy: req.user.id, builtIn: isBuiltIn } };
+    if (description !== undefined) update.$set.description = description;
+    if (permissions !== undefined) {
+      update.$set.permissions = permissions;
+    } else if (isBuiltIn) {
+      update.$setOnInsert = { permissions: DEFAULT_ROLE_PERMISSIONS[name] };
+    }
+
+    const before = await Role.findOne({ name }).lean();
+    const role = await Role.findOneAndUpdate({ name }, update, { upsert: isBuiltIn, new: true, runValidators: true });
+    invalidateRoleCache();
+
+    await recordAudit(req, 'role.update', {
+      targetType: 'Role',
+      targetId: name,
+      before: before || { permissions: DEFAULT_ROLE_PERMISSIONS[name] },
+      after: role
+    });
+
+    res.json({ message: 'Role updated successfully', role });
+  } catch (err) {
+    console.error('Role update error:', err);
+    res.status(500).json({ error: 'Server error while updating role' });
+  }
+});
+
+router.delete('/:name', param('name').trim().toLowerCase(), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (BUILT_IN_ROLES.includes(name)) {
+      const before = await Role.findOneAndDelete({ name }).lean();
+      invalidateRoleCache();
+      await recordAudit(req, 'role.reset', {
+        targetType: 'Role',
+        targetId: name,
+        before: before || undefined,
+        after: { permissions: DEFAULT_ROLE_PERMISSIONS[name] }
+      });
+      return res.json({ message: 'Built-in role reset to default permissions' });
+    }
+
+    const assigned = await User.countDocuments({ role: 'staff', staffRole: name });
+    if (assigned > 0) {
+      return res.status(400).json({ error: `Role is still assigned to ${assigned} user(s)` });
+    }
+
+    const deleted = await Role.findOneAndDelete({ name }).lean();
+    if (!deleted) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    invalidateRoleCache();
+
+    await recordAudit(req, 'role.delete', { targetType: 'Role', targetId: name, before: deleted });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (err) {
+    console.error('Role deletion error:', err);
+    res.status(500).json({ error: 'Server error while deleting role' });
+  }
+});
+
+router.get('/users/:id', param('id').isMongoId().withMessage('Invalid user ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const user = await User.findById(req.params.id).select('username role staffRole permissionOverrides');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      _id: user._id,
+      username: user.username,
+      role: user.role,
+      staffRole: user.staffRole,
+      permissionOverrides: user.permissionOverrides,
+      permissions: [...await getEffectivePermissions(user)]
+    });
+  } catch (err) {
+    console.error('Error fetching user permissions:', err);
+    res.status(500).json({ error: 'Server error while fetching permissions' });
+  }
+});
+
+router.put('/users/:id', validateUserAccess, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { staffRole, grant, revoke } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.role === 'superadmin') {
+      return res.status(400).json({ error: 'Super Admin permissions cannot be changed' });
+    }
+
+    const before = {
+      staffRole: user.staffRole,
+      permissionOverrides: user.toObject().permissionOverrides
+    };
+
+    if (staffRole !== undefined) {
+      if (user.role !== 'staff') {
+        return res.status(400).json({ error: 'Only staff users can be assigned a staff role' });
+      }
+      if (!(await Role.exists({ name: staffRole, builtIn: false }))) {
+        return res.status(400).json({ error: `Unknown staff role: ${staffRole}` });
+      }
+      user.staffRole = staffRole;
+    }
+
+    if (grant !== undefined) user.permissionOverrides.grant = grant;
+    if (revoke !== undefined) user.permissionOverrides.revoke = revoke;
+
+    await user.save();
+
+    await recordAudit(req, 'user.permissions.update', {
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: { staffRole: user.staffRole, permissionOverrides: user.toObject().permissionOverrides }
+    });
+
+    res.json({
+      message: 'User permissions updated successfully',
+      user: {
+        _id: user._id,
+        username: user.username,
+        role: user.role,
+        staffRole: user.staffRole,
+        permissionOverrides: user.permissionOverrides,
+        permissions: [...await getEffectivePermissions(user)]
+      }
+    });
+  } catch (err) {
+    console.error('User permission update error:', err);
+    res.status(500).json({ error: 'Server error while updating permissions' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
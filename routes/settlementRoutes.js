@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const Transaction = require('../models/Transaction');
+const CommissionEntry = require('../models/CommissionEntry');
+const CommissionStatement = require('../models/CommissionStatement');
+const { authenticate, requirePermission, loadPermissions } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { body, param, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { can } = require('../services/permissionService');
+const { clawbackCommission } = require('../services/commissionService');
+const {
+  runSettlement,
+  adjustStatement,
+  approveStatement,
+  payStatement,
+  getPendingCommission
+} = require('../services/settlementService');
+const { recordAudit } = require('../services/auditService');
+const { formatAmount } = require('../utils/money');
+
+const validateRun = [
+  body('periodType')
+    .optional()
+    .isIn(['week', 'month']).withMessage('periodType must be week or month'),
+  body('periodStart')
+    .optional()
+    .isISO8601().withMessage('periodStart must be an ISO 8601 date'),
+  body('periodEnd')
+    .optional()
+    .isISO8601().withMessage('periodEnd must be an ISO 8601 date')
+];
+
+const validateAdjustment = [
+  param('id').isMongoId().withMessage('Invalid statement ID'),
+  body('amount')
+    .isFloat().withMessage('Amount must be a number')
+    .custom(value => {
+      if (parseFloat(value) === 0) {
+        throw new Error('Amount cannot be zero');
+      }
+      return true;
+    })
+    .toFloat(),
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 255 }).withMessage('Reason must be less than 255 characters')
+];
+
+const validateClawback = [
+  body('transactionId').isMongoId().withMessage('Invalid transaction ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 255 }).withMessage('Reason must be less than 255 characters')
+];
+
+const statusForError = (err) => {
+  if (err.message === 'Statement not found') return 404;
+  if (err.name === 'VersionError' || err.message.includes('changed during')) return 409;
+  if (err.message.includes('can be') || err.message.includes('cannot be') || err.message.includes('has not ended')) return 400;
+  return 500;
+};
+
+router.use(authenticate);
+
+router.get('/', [
+  query('agent').optional().isMongoId().withMessage('Invalid agent ID'),
+  query('status').optional().isIn(['draft', 'approved', 'paid']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt()
+], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const canSettle = can(await loadPermissions(req), 'commission.settle');
+    const filter = {};
+
+    if (canSettle) {
+      if (req.query.agent) filter.agent = req.query.agent;
+    } else {
+      filter.agent = req.user.id;
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const statements = await CommissionStatement.find(filter)
+      .populate('agent', 'username agentCode')
+      .sort({ periodStart: -1, createdAt: -1 })
+      .limit(req.query.limit || 100);
+
+    res.json(statements);
+  } catch (err) {
+    console.error('Error fetching commission statements:', err);
+    res.status(500).json({ error: 'Server error while fetching statements' });
+  }
+});
+
+router.get('/pending', query('agent').optional().isMongoId().withMessage('Invalid agent ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const agentId = req.query.agent || req.user.id;
+
+    if (agentId !== req.user.id && !can(await loadPermissions(req), 'commission.settle')) {
+      return res.status(403).json({ error: 'Missing permission: commission.settle' });
+    }
+
+    const pending = await getPendingCommission(agentId);
+    res.json({
+      agent: agentId,
+      pending,
+      formattedPending: formatAmount(pending)
+    });
+  } catch (err) {
+    console.error('Error fetching pending commission:', err);
+    res.status(500).json({ error: 'Server error while fetching pending commission' });
+  }
+});
+
+router.get('/:id', param('id').isMongoId().withMessage('Invalid statement ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const statement = await CommissionStatement.findById(req.params.id)
+      .populate('agent', 'username agentCode')
+      .populate('payoutTransaction');
+
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+
+    if (statement.agent._id.toString() !== req.user.id && !can(await loadPermissions(req), 'commission.settle')) {
+      return res.status(403).json({ error: 'Missing permission: commission.settle' });
+    }
+
+    const entries = await CommissionEntry.find({ statement: statement._id })
+      .populate('member', 'username')
+      .sort({ createdAt: 1 })
+      .select('-__v');
+
+    res.json({ statement, entries });
+  } catch (err) {
+    console.error('Error fetching commission statement:', err);
+    res.status(500).json({ error: 'Server error while fetching statement' });
+  }
+});
+
+router.post('/run', requirePermission('commission.settle'), validateRun, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const result = await runSettlement(req.body);
+
+    await recordAudit(req, 'commission.settlement.run', {
+      targetType: 'CommissionStatement',
+      metadata: {
+        periodType: result.periodType,
+        periodStart: result.periodStart,
+        periodEnd: result.periodEnd,
+        statements: result.statements.map(s => s._id.toString()),
+        skippedAgents: result.skipped.map(id => id.toString())
+      }
+    });
+
+    res.status(201).json({
+      message: `Created ${result.statements.length} commission statement(s)`,
+      ...result
+    });
+  } catch (err) {
+    console.error('Commission settlement error:', err);
+    const status = statusForError(err);
+    res.status(status).json({
+      error: status === 500 ? 'Server error while running settlement' : err.message
+    });
+  }
+});
+
+router.post('/:id/adjust', requirePermission('commission.settle'), validateAdjustment, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const before = await CommissionStatement.findById(req.params.id);
+    const statement = await adjustStatement(req.params.id, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      adjustedBy: req.user.id
+    });
+
+    await recordAudit(req, 'commission.statement.adjust', {
+      targetType: 'CommissionStatement',
+      targetId: statement._id,
+      before,
+      after: statement,
+      metadata: { amount: req.body.amount, reason: req.body.reason }
+    });
+
+    res.json({ message: 'Statement adjusted successfully', statement });
+  } catch (err) {
+    console.error('Commission statement adjustment error:', err);
+    const status = statusForError(err);
+    res.status(status).json({
+      error: status === 500 ? 'Server error while adjusting statement' : err.message
+    });
+  }
+});
+
+router.post('/:id/approve', requirePermission('commission.settle'), param('id').isMongoId().withMessage('Invalid statement ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const statement = await approveStatement(req.params.id, req.user.id);
+
+    await recordAudit(req, 'commission.statement.approve', {
+      targetType: 'CommissionStatement',
+      targetId: statement._id,
+      after: statement
+    });
+
+    res.json({ message: 'Statement approved successfully', statement });
+  } catch (err) {
+    console.error('Commission statement approval error:', err);
+    const status = statusForError(err);
+    res.status(status).json({
+      error: status === 500 ? 'Server error while approving statement' : err.message
+    });
+  }
+});
+
+router.post('/:id/pay', requirePermission('commission.settle'), param('id').isMongoId().withMessage('Invalid statement ID'), idempotency, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { statement, transaction, carryover } = await payStatement(req.params.id, req.user.id);
+
+    await recordAudit(req, 'commission.statement.pay', {
+      targetType: 'CommissionStatement',
+      targetId: statement._id,
+      after: statement,
+      metadata: {
+        agent: statement.agent.toString(),
+        amount: statement.totalAmount,
+        transaction: transaction?._id.toString(),
+        carryover: carryover?._id.toString()
+      }
+    });
+
+    res.json({
+      message: transaction
+        ? 'Commission paid successfully'
+        : 'Statement closed without payout',
+      statement,
+      transaction,
+      carryover
+    });
+  } catch (err) {
+    console.error('Commission payout error:', err);
+    await recordAudit(req, 'commission.statement.pay', {
+      status: 'failure',
+      targetType: 'CommissionStatement',
+      targetId: req.params.id,
+      metadata: { error: err.message }
+    });
+
+    const status = statusForError(err);
+    res.status(status).json({
+      error: status === 500 ? 'Server error while paying commission' : err.message
+    });
+  }
+});
+
+router.post('/clawbacks', requirePermission('commission.settle'), validateClawback, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const transaction = await Transaction.findById(req.body.transactionId).select('relatedTransaction');
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const result = await clawbackCommission({
+      transactionIds: [transaction._id, transaction.relatedTransaction].filter(Boolean),
+      description: req.body.reason || 'Commission clawback'
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'No commission was accrued on this transaction' });
+    }
+
+    await recordAudit(req, 'commission.clawback', {
+      targetType: 'CommissionEntry',
+      targetId: result.clawback._id,
+      after: result.clawback,
+      metadata: { transaction: req.body.transactionId, clawbackOf: result.original._id.toString() }
+    });
+
+    res.status(201).json({ message: 'Commission clawed back successfully', clawback: result.clawback });
+  } catch (err) {
+    console.error('Commission clawback error:', err);
+
+    if (err.message.includes('already been clawed back')) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.status(500).json({ error: 'Server error while clawing back commission' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const Transaction = require('../models/Transaction');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { body, param, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { can } = require('../services/permissionService');
+const { isAgentRole, isAncestor } = require('../services/hierarchyService');
+const { SORT_FIELDS, searchTransactions } = require('../services/transactionSearchService');
+const { reverseTransaction } = require('../services/ledgerService');
+const { updateAgentStats } = require('../services/commissionService');
+const { recordAudit } = require('../services/auditService');
+const { TRANSACTION_TYPES, DIRECTIONS } = require('../config/transactionTypes');
+const { formatAmount } = require('../utils/money');
+
+const validateSearch = [
+  query('member').optional().isMongoId().withMessage('Invalid member ID'),
+  query('agent').optional().isMongoId().withMessage('Invalid agent ID'),
+  query('adjustedBy').optional().isMongoId().withMessage('Invalid adjustedBy user ID'),
+  query('type')
+    .optional()
+    .isIn(TRANSACTION_TYPES).withMessage(`Type must be one of ${TRANSACTION_TYPES.join(', ')}`),
+  query('direction')
+    .optional()
+    .isIn(DIRECTIONS).withMessage('Direction must be either "credit" or "debit"'),
+  query('provider')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Invalid provider'),
+  query('roundId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Invalid round ID'),
+  query('minAmount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('minAmount must be a positive number')
+    .toFloat(),
+  query('maxAmount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('maxAmount must be a positive number')
+    .toFloat(),
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Search text must be 1-100 characters'),
+  query('sort')
+    .optional()
+    .isIn(SORT_FIELDS).withMessage(`sort must be one of ${SORT_FIELDS.join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 }).withMessage('Invalid cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+    .toInt()
+];
+
+const validateReversal = [
+  param('id').isMongoId().withMessage('Invalid transaction ID'),
+  body('reason')
+    .isString().withMessage('A reason is required')
+    .trim()
+    .isLength({ min: 3, max: 200 }).withMessage('Reason must be between 3 and 200 characters')
+];
+
+// Without `transaction.reverse.any`, operators may only undo their own entries
+// and only for a limited time after making them.
+const REVERSAL_WINDOW_HOURS = parseInt(process.env.REVERSAL_WINDOW_HOURS, 10) || 24;
+
+router.get('/', authenticate, requirePermission('member.view'), validateSearch, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const global = can(req.permissions, 'scope.global');
+    if (!global && !isAgentRole(req.user.role)) {
+      return res.status(403).json({ error: 'Transaction search is only available to agents and global administrators' });
+    }
+
+    const result = await searchTransactions({
+      ...req.query,
+      callerId: req.user.id,
+      global
+    });
+
+    await recordAudit(req, 'transaction.search', {
+      metadata: {
+        filters: {
+          member: req.query.member,
+          agent: req.query.agent,
+          type: req.query.type,
+          direction: req.query.direction,
+          provider: req.query.provider,
+          roundId: req.query.roundId,
+          from: req.query.from,
+          to: req.query.to,
+          q: req.query.q
+        },
+        count: result.transactions.length
+      }
+    });
+
+    res.json({
+      transactions: result.transactions.map(t => ({
+        _id: t._id,
+        user: t.user,
+        type: t.type,
+        direction: t.direction,
+        amount: t.amount,
+        oldCredit: t.oldCredit,
+        newCredit: t.newCredit,
+        adjustedBy: t.adjustedBy,
+        counterparty: t.counterparty,
+        relatedTransaction: t.relatedTransaction,
+        reversalOf: t.reversalOf,
+        reversedBy: t.reversedBy,
+        provider: t.provider,
+        roundId: t.roundId,
+        externalId: t.externalId,
+        description: t.description,
+        createdAt: t.createdAt,
+        formattedDate: t.formattedDate,
+        formattedAmount: formatAmount(t.amount)
+      })),
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor
+    });
+  } catch (err) {
+    if (err.message.includes('outside your hierarchy')) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err.message === 'Invalid cursor') {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error('Transaction search error:', err);
+    res.status(500).json({ error: 'Server error while searching transactions' });
+  }
+});
+
+router.post('/:id/reverse', authenticate, requirePermission('transaction.reverse', 'transaction.reverse.any'), idempotency, validateReversal, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const transaction = await Transaction.findById(req.params.id).select('user adjustedBy createdAt').lean();
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (!can(req.permissions, 'scope.global') && !(await isAncestor(req.user.id, transaction.user))) {
+      return res.status(403).json({ error: 'Transaction is outside your hierarchy' });
+    }
+
+    if (!can(req.permissions, 'transaction.reverse.any')) {
+      if (!transaction.adjustedBy || transaction.adjustedBy.toString() !== req.user.id) {
+        return res.status(403).json({ error: 'You can only reverse transactions you made yourself' });
+      }
+      if (Date.now() - transaction.createdAt > REVERSAL_WINDOW_HOURS * 60 * 60 * 1000) {
+        return res.status(403).json({ error: `Transactions can only be reversed within ${REVERSAL_WINDOW_HOURS} hours` });
+      }
+    }
+
+    const result = await reverseTransaction({
+      transactionId: req.params.id,
+      reversedBy: req.user.id,
+      reason: req.body.reason
+    });
+
+    if (result.member.role === 'member' && result.member.parent) {
+      await updateAgentStats(result.member.parent);
+    }
+
+    await recordAudit(req, 'transaction.reverse', {
+      targetType: 'Transaction',
+      targetId: result.original._id,
+      before: { credit: result.reversal.oldCredit },
+      after: { credit: result.reversal.newCredit },
+      metadata: {
+        reason: req.body.reason,
+        user: result.member._id,
+        type: result.original.type,
+        amount: result.original.amount,
+        reversal: result.reversal._id,
+        counterpartReversal: result.counterpartReversal?._id,
+        clawback: result.clawback?._id
+      }
+    });
+
+    res.json({
+      message: 'Transaction reversed',
+      original: {
+        _id: result.original._id,
+        type: result.original.type,
+        direction: result.original.direction,
+        amount: result.original.amount,
+        reversedBy: result.reversal._id
+      },
+      reversal: {
+        _id: result.reversal._id,
+        direction: result.reversal.direction,
+        amount: result.reversal.amount,
+        oldCredit: result.reversal.oldCredit,
+        newCredit: result.reversal.newCredit,
+        formattedAmount: formatAmount(result.reversal.amount)
+      },
+      counterpartReversal: result.counterpartReversal ? {
+        _id: result.counterpartReversal._id,
+        user: result.counterpartReversal.user,
+        direction: result.counterpartReversal.direction,
+        newCredit: result.counterpartReversal.newCredit
+      } : undefined,
+      commissionClawback: result.clawback ? {
+        _id: result.clawback._id,
+        amount: result.clawback.amount
+      } : undefined
+    });
+  } catch (err) {
+    console.error('Transaction reversal error:', err);
+
+    await recordAudit(req, 'transaction.reverse', {
+      status: 'failure',
+      targetType: 'Transaction',
+      targetId: req.params.id,
+      metadata: { reason: req.body.reason, error: err.message }
+    });
+
+    if (err.message.endsWith('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message.includes('already been reversed') || err.message.includes('already been clawed back')) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.message.includes('cannot be reversed')
+      || err.message.startsWith('Float transfers')
+      || err.message.startsWith('Insufficient')
+      || err.message.includes('no longer exists')) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.name === 'VersionError') {
+      return res.status(409).json({ error: 'Balance was changed by another request, please try again' });
+    }
+
+    res.status(500).json({ error: 'Server error while reversing transaction' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { verifyProviderSignature } = require('../middleware/providerAuth');
+const { WALLET_CURRENCY } = require('../config/walletProviders');
+const { getBalance, placeBet, settleWin, refundBet, rollback } = require('../services/walletService');
+
+const idRule = (field, label) => body(field)
+  .isString().withMessage(`${label} is required`)
+  .trim()
+  .isLength({ min: 1, max: 100 }).withMessage(`${label} must be 1-100 characters`);
+
+const playerRule = body('playerId').isMongoId().withMessage('Invalid player ID');
+
+const amountRule = (min) => body('amount')
+  .isFloat({ min, max: 1000000 }).withMessage(`Amount must be between ${min} and 1,000,000`)
+  .custom(value => {
+    const decimalPart = value.toString().split('.')[1];
+    if (decimalPart && decimalPart.length > 2) {
+      throw new Error('Amount must have at most 2 decimal places');
+    }
+    return true;
+  })
+  .toFloat();
+
+const validateRound = [
+  playerRule,
+  idRule('roundId', 'Round ID'),
+  idRule('transactionId', 'Transaction ID'),
+  body('gameId').optional().isString().trim().isLength({ max: 100 }).withMessage('Game ID must be at most 100 characters')
+];
+
+const validateBet = [...validateRound, amountRule(0.01)];
+const validateWin = [...validateRound, amountRule(0)];
+const validateReversal = [
+  ...validateRound,
+  idRule('referenceTransactionId', 'Reference transaction ID'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be zero or more').toFloat()
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    code: 'INVALID_REQUEST',
+    errors: errors.array().map(err => ({
+      field: err.path,
+      message: err.msg
+    }))
+  });
+  return true;
+};
+
+// Providers branch on `code`; `error` is for people reading their logs.
+const walletError = (err) => {
+  if (err.message === 'Player not found') return { status: 404, code: 'PLAYER_NOT_FOUND' };
+  if (err.message.startsWith('Player account is')) return { status: 403, code: 'PLAYER_BLOCKED' };
+  if (err.message.startsWith('Insufficient credit')) return { status: 400, code: 'INSUFFICIENT_FUNDS' };
+  if (err.message.includes('different request')) return { status: 409, code: 'DUPLICATE_TRANSACTION' };
+  if (err.message.includes('already reversed')) return { status: 409, code: 'ALREADY_REVERSED' };
+  if (err.message.startsWith('Referenced transaction') || err.message.startsWith('Amount does not match')) {
+    return { status: 400, code: 'INVALID_REFERENCE' };
+  }
+  if (err.name === 'VersionError') return { status: 503, code: 'RETRY' };
+  return { status: 500, code: 'INTERNAL_ERROR' };
+};
+
+const handle = (operation, label) => async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const result = await operation({
+      provider: req.provider,
+      playerId: req.body.playerId,
+      roundId: req.body.roundId,
+      transactionId: req.body.transactionId,
+      amount: req.body.amount,
+      gameId: req.body.gameId,
+      reference: req.body.referenceTransactionId
+    });
+
+    res.json({
+      balance: result.balance,
+      currency: WALLET_CURRENCY,
+      transactionId: req.body.transactionId,
+      walletTransactionId: result.record._id,
+      replayed: result.replayed
+    });
+  } catch (err) {
+    const { status, code } = walletError(err);
+    if (status === 500) {
+      console.error(`Wallet ${label} error (${req.provider}):`, err);
+    }
+    res.status(status).json({
+      error: status === 500 ? `Server error while processing ${label}` : err.message,
+      code
+    });
+  }
+};
+
+router.use(verifyProviderSignature);
+
+router.post('/balance', playerRule, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const { balance } = await getBalance({ playerId: req.body.playerId });
+    res.json({ balance, currency: WALLET_CURRENCY });
+  } catch (err) {
+    const { status, code } = walletError(err);
+    if (status === 500) {
+      console.error(`Wallet balance error (${req.provider}):`, err);
+    }
+    res.status(status).json({
+      error: status === 500 ? 'Server error while fetching balance' : err.message,
+      code
+    });
+  }
+});
+
+router.post('/bet', validateBet, handle(placeBet, 'bet'));
+router.post('/win', validateWin, handle(settleWin, 'win'));
+router.post('/refund', validateReversal, handle(refundBet, 'refund'));
+router.post('/rollback', validateReversal, handle(rollback, 'rollback'));
+
+module.exports = router;
\ No newline at end of file
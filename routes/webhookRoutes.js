@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router();
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { sendValidationErrors } = require('../middleware/validation');
+const { WEBHOOK_EVENTS, TEST_EVENT } = require('../config/webhookEvents');
+const { generateSecret, redeliverWebhook, sendTestWebhook } = require('../services/webhookService');
+const { recordAudit } = require('../services/auditService');
+
+const urlRule = (chain) => chain
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('URL must be an absolute http or https URL')
+  .isLength({ max: 2048 }).withMessage('URL must be at most 2048 characters');
+
+const eventsRule = (chain) => chain
+  .isArray({ min: 1 }).withMessage('events must be a non-empty array')
+  .custom(events => events.every(event => WEBHOOK_EVENTS.includes(event)))
+  .withMessage(`Events must be any of ${WEBHOOK_EVENTS.join(', ')}`);
+
+const nameRule = (chain) => chain
+  .isString().withMessage('Name is required')
+  .trim()
+  .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters');
+
+const validateCreation = [
+  nameRule(body('name')),
+  urlRule(body('url')),
+  eventsRule(body('events')),
+  body('secret')
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 200 }).withMessage('Secret must be between 16 and 200 characters')
+];
+
+const validateUpdate = [
+  param('id').isMongoId().withMessage('Invalid subscription ID'),
+  nameRule(body('name').optional()),
+  urlRule(body('url').optional()),
+  eventsRule(body('events').optional()),
+  body('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean()
+];
+
+const validateDeliveryList = [
+  param('id').isMongoId().withMessage('Invalid subscription ID'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'succeeded', 'failed', 'cancelled']).withMessage('Invalid status'),
+  query('eventType')
+    .optional()
+    .isIn([...WEBHOOK_EVENTS, TEST_EVENT]).withMessage('Invalid event type'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+    .toInt()
+];
+
+const validateDelivery = [
+  param('id').isMongoId().withMessage('Invalid subscription ID'),
+  param('deliveryId').isMongoId().withMessage('Invalid delivery ID')
+];
+
+const statusForError = (err) => {
+  if (err.message.endsWith('not found')) return 404;
+  if (err.message.endsWith('is paused')) return 409;
+  return 500;
+};
+
+router.use(authenticate, requirePermission('webhook.manage'));
+
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find()
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json(subscriptions);
+  } catch (err) {
+    console.error('Error fetching webhook subscriptions:', err);
+    res.status(500).json({ error: 'Server error while fetching webhook subscriptions' });
+  }
+});
+
+router.post('/', validateCreation, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const secret = req.body.secret || generateSecret();
+    const subscription = await WebhookSubscription.create({
+      name: req.body.name,
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      secret,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, 'webhook.create', {
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      after: subscription
+    });
+
+    const created = subscription.toObject();
+    delete created.secret;
+    res.status(201).json({
+      message: 'Webhook subscription created. Store the secret now; it is not shown again.',
+      subscription: created,
+      secret
+    });
+  } catch (err) {
+    console.error('Webhook subscription creation error:', err);
+    res.status(500).json({ error: 'Server error while creating webhook subscription' });
+  }
+});
+
+router.get('/:id', param('id').isMongoId().withMessage('Invalid subscription ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id).populate('createdBy', 'username');
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { subscription: subscription._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      ...subscription.toObject(),
+      deliveries: Object.fromEntries(counts.map(c => [c._id, c.count]))
+    });
+  } catch (err) {
+    console.error('Error fetching webhook subscription:', err);
+    res.status(500).json({ error: 'Server error while fetching webhook subscription' });
+  }
+});
+
+router.patch('/:id', validateUpdate, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+
+    const before = subscription.toObject();
+    ['name', 'url', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) subscription[field] = req.body[field];
+    });
+    if (req.body.events) {
+      subscription.events = [...new Set(req.body.events)];
+    }
+    await subscription.save();
+
+    await recordAudit(req, 'webhook.update', {
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      before,
+      after: subscription
+    });
+
+    res.json({ message: 'Webhook subscription updated', subscription });
+  } catch (err) {
+    console.error('Webhook subscription update error:', err);
+    res.status(500).json({ error: 'Server error while updating webhook subscription' });
+  }
+});
+
+router.post('/:id/secret', param('id').isMongoId().withMessage('Invalid subscription ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+
+    await recordAudit(req, 'webhook.rotate_secret', {
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id
+    });
+
+    res.json({
+      message: 'Secret rotated. Deliveries are signed with the new secret from now on.',
+      secret
+    });
+  } catch (err) {
+    console.error('Webhook secret rotation error:', err);
+    res.status(500).json({ error: 'Server error while rotating webhook secret' });
+  }
+});
+
+// Pending deliveries are cancelled; the delivery log is kept.
+router.delete('/:id', param('id').isMongoId().withMessage('Invalid subscription ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' });
+    }
+
+    const cancelled = await WebhookDelivery.updateMany(
+      { subscription: subscription._id, status: 'pending' },
+      { status: 'cancelled' }
+    );
+
+    await recordAudit(req, 'webhook.delete', {
+      targetType: 'WebhookSubscription',
+      targetId: subscription._id,
+      before: subscription,
+      metadata: { cancelledDeliveries: cancelled.modifiedCount }
+    });
+
+    res.json({ message: 'Webhook subscription deleted', cancelledDeliveries: cancelled.modifiedCount });
+  } catch (err) {
+    console.error('Webhook subscription deletion error:', err);
+    res.status(500).json({ error: 'Server error while deleting webhook subscription' });
+  }
+});
+
+router.post('/:id/test', param('id').isMongoId().withMessage('Invalid subscription ID'), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const delivery = await sendTestWebhook({ subscriptionId: req.params.id, requestedBy: req.user.id });
+    res.json({ delivery });
+  } catch (err) {
+    const status = statusForError(err);
+    if (status === 500) console.error('Webhook test error:', err);
+    res.status(status).json({ error: status === 500 ? 'Server error while sending test webhook' : err.message });
+  }
+});
+
+router.get('/:id/deliveries', validateDeliveryList, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const filter = { subscription: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.eventType) filter.eventType = req.query.eventType;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-payload -log')
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || 100);
+
+    res.json(deliveries);
+  } catch (err) {
+    console.error('Error fetching webhook deliveries:', err);
+    res.status(500).json({ error: 'Server error while fetching webhook deliveries' });
+  }
+});
+
+router.get('/:id/deliveries/:deliveryId', validateDelivery, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: req.params.id })
+      .populate('redeliveredBy', 'username');
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (err) {
+    console.error('Error fetching webhook delivery:', err);
+    res.status(500).json({ error: 'Server error while fetching webhook delivery' });
+  }
+});
+
+router.post('/:id/deliveries/:deliveryId/redeliver', validateDelivery, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const delivery = await redeliverWebhook({
+      subscriptionId: req.params.id,
+      deliveryId: req.params.deliveryId,
+      redeliveredBy: req.user.id
+    });
+
+    await recordAudit(req, 'webhook.redeliver', {
+      targetType: 'WebhookDelivery',
+      targetId: delivery._id,
+      metadata: {
+        subscription: req.params.id,
+        eventType: delivery.eventType,
+        status: delivery.status,
+        statusCode: delivery.lastStatusCode
+      }
+    });
+
+    res.json({ delivery });
+  } catch (err) {
+    const status = statusForError(err);
+    if (status === 500) console.error('Webhook redelivery error:', err);
+    res.status(status).json({ error: status === 500 ? 'Server error while redelivering webhook' : err.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
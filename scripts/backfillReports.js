@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { runJob } = require('../services/jobRunner');
+require('../services/jobs');
+const { BUSINESS_TIMEZONE, isDateKey } = require('../utils/businessTime');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const missingOnly = args.includes('--missing-only');
+  const [from, to = from] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!isDateKey(from) || !isDateKey(to)) {
+    console.error('Usage: npm run reports:backfill -- <YYYY-MM-DD> [YYYY-MM-DD] [--missing-only]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  // Through the job runner, so it never overlaps a backfill started over HTTP
+  // and is recorded in the run history.
+  console.log(`📊 Backfilling daily reports ${from} to ${to} (${BUSINESS_TIMEZONE})`);
+  const run = await runJob('report-backfill', { trigger: 'manual', params: { from, to, missingOnly } });
+
+  if (!run) {
+    throw new Error('Another report backfill is running');
+  }
+  if (run.status !== 'succeeded') {
+    throw new Error(run.error.message);
+  }
+
+  console.log(`✅ Generated ${run.stats.generated} report(s), skipped ${run.stats.skipped} existing`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (err) => {
+  console.error('❌ Daily report backfill failed:', err.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const run = async () => {
+  const [username, password] = process.argv.slice(2);
+
+  if (!username || !password) {
+    console.error('Usage: npm run bootstrap:superadmin -- <username> <password>');
+    process.exit(1);
+  }
+
+  if (!/^[a-zA-Z0-9_]{4,30}$/.test(username) || password.length < 6) {
+    console.error('❌ Username must be 4-30 letters, numbers or underscores and password at least 6 characters');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const existing = await User.exists({ role: 'superadmin' });
+  if (existing) {
+    console.error('❌ A superadmin already exists. Use an invite to create additional superadmins.');
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const superadmin = await User.create({
+    username,
+    password: await bcrypt.hash(password, salt),
+    role: 'superadmin'
+  });
+
+  console.log(`✅ Superadmin ${superadmin.username} created (${superadmin._id})`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (err) => {
+  console.error('❌ Superadmin bootstrap failed:', err.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
\ No newline at end of file
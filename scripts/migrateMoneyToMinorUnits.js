@@ -0,0 +1,119 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const AgentStats = require('../models/AgentStats');
+const DailyReport = require('../models/DailyReport');
+const CreditRequest = require('../models/CreditRequest');
+const CommissionEntry = require('../models/CommissionEntry');
+const CommissionStatement = require('../models/CommissionStatement');
+const WalletTransaction = require('../models/WalletTransaction');
+const LedgerDiscrepancy = require('../models/LedgerDiscrepancy');
+const { MINOR_PER_MAJOR } = require('../utils/money');
+
+// Rewrites balances and ledger amounts from major units (baht, two decimals)
+// to integer minor units. Run it with the application stopped: the previous
+// version writes major units and this one writes minor units, so neither may
+// write while the data is being converted.
+//
+// Each converted document is marked, so an interrupted run picks up where it
+// stopped. Once every collection is done the run is recorded and the marks
+// are removed. Later runs convert nothing, since that would scale values
+// written in the meantime by another factor of 100.
+const MIGRATION = 'money-minor-units';
+const MARKER = '_moneyMinorUnits';
+
+// Missing or non-numeric values are left as they are.
+const scaled = (path) => ({
+  $cond: [
+    { $isNumber: path },
+    { $round: [{ $multiply: [path, MINOR_PER_MAJOR] }, 0] },
+    path
+  ]
+});
+
+const scaledArray = (path, fields) => ({
+  $cond: [
+    { $isArray: path },
+    {
+      $map: {
+        input: path,
+        as: 'item',
+        in: {
+          $mergeObjects: ['$$item', Object.fromEntries(fields.map(field => [field, scaled(`$$item.${field}`)]))]
+        }
+      }
+    },
+    path
+  ]
+});
+
+const CONVERSIONS = [
+  { model: User, fields: ['credit', 'reservedCredit'] },
+  { model: Transaction, fields: ['amount', 'oldCredit', 'newCredit'] },
+  {
+    model: AgentStats,
+    fields: ['totalCredit', 'totalProfit', 'totalCommission'],
+    arrays: { commissionHistory: ['amount'] }
+  },
+  {
+    model: DailyReport,
+    fields: ['totalCreditMovement', 'totalCreditAdded', 'totalCreditDeducted', 'totalCommission'],
+    arrays: { agentReports: ['creditMovement', 'creditAdded', 'creditDeducted', 'commission'] }
+  },
+  { model: CreditRequest, fields: ['amount'] },
+  { model: CommissionEntry, fields: ['baseAmount', 'amount', 'periodVolume'] },
+  {
+    model: CommissionStatement,
+    fields: ['volume', 'grossAmount', 'clawbackAmount', 'totalAmount'],
+    arrays: { adjustments: ['amount'] }
+  },
+  { model: WalletTransaction, fields: ['amount', 'balance'] },
+  {
+    model: LedgerDiscrepancy,
+    fields: ['storedBalance', 'ledgerBalance', 'lastRecordedBalance', 'difference'],
+    arrays: { chainBreakSamples: ['expected', 'recorded'], amountMismatchSamples: ['expected', 'recorded'] }
+  }
+];
+
+const convert = async ({ model, fields, arrays = {} }) => {
+  const $set = { [MARKER]: true };
+  fields.forEach(field => {
+    $set[field] = scaled(`$${field}`);
+  });
+  Object.entries(arrays).forEach(([path, itemFields]) => {
+    $set[path] = scaledArray(`$${path}`, itemFields);
+  });
+
+  const result = await model.collection.updateMany({ [MARKER]: { $ne: true } }, [{ $set }]);
+  return result.modifiedCount;
+};
+
+const run = async () => {
+  await connectDB();
+  const migrations = mongoose.connection.db.collection('migrations');
+
+  const applied = await migrations.findOne({ _id: MIGRATION });
+  if (applied) {
+    console.log(`ℹ️ Money was already converted to minor units on ${applied.appliedAt.toISOString()}`);
+  } else {
+    for (const conversion of CONVERSIONS) {
+      const converted = await convert(conversion);
+      console.log(`✅ ${conversion.model.collection.name}: ${converted} document(s) converted`);
+    }
+    await migrations.insertOne({ _id: MIGRATION, appliedAt: new Date() });
+    console.log('✅ Money is now stored in minor units');
+  }
+
+  for (const { model } of CONVERSIONS) {
+    await model.collection.updateMany({ [MARKER]: { $exists: true } }, { $unset: { [MARKER]: '' } });
+  }
+  await mongoose.connection.close();
+};
+
+run().catch(async (err) => {
+  console.error('❌ Money migration failed:', err.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
\ No newline at end of file
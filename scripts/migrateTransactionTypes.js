@@ -0,0 +1,71 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const CreditRequest = require('../models/CreditRequest');
+const CommissionPlan = require('../models/CommissionPlan');
+const { AGENT_ROLES } = require('../services/hierarchyService');
+
+// Rewrites ledger entries from the old add/deduct types to a type plus a
+// direction. Only entries still carrying an old type are touched, so the
+// script can be run again safely.
+const LEGACY = { add: 'credit', deduct: 'debit' };
+
+const retype = async (filter, type) => {
+  let modified = 0;
+  for (const [legacyType, direction] of Object.entries(LEGACY)) {
+    const result = await Transaction.collection.updateMany(
+      { ...filter, type: legacyType },
+      { $set: { type, direction } }
+    );
+    modified += result.modifiedCount;
+  }
+  return modified;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const requests = await CreditRequest.find({ status: 'approved', transaction: { $exists: true } })
+    .select('type transaction')
+    .lean();
+  const byType = { deposit: [], withdrawal: [] };
+  requests.forEach(request => byType[request.type].push(request.transaction));
+
+  const deposits = await retype({ _id: { $in: byType.deposit } }, 'deposit');
+  const withdrawals = await retype({ _id: { $in: byType.withdrawal } }, 'withdrawal');
+  const payouts = await retype({ description: /^Commission payout/ }, 'commission');
+
+  const agentIds = await User.find({ role: { $in: AGENT_ROLES } }).distinct('_id');
+  const floatTransfers = await retype({ user: { $in: agentIds }, counterparty: { $exists: true } }, 'float_transfer');
+
+  const adjustments = await retype({}, 'adjustment');
+
+  console.log(`✅ Ledger entries: ${deposits} deposit, ${withdrawals} withdrawal, ${payouts} commission, ${floatTransfers} float transfer, ${adjustments} adjustment`);
+
+  // Commission used to be paid on top-ups ("add"); it is now paid on bets.
+  const plans = await CommissionPlan.collection.updateMany(
+    { transactionTypes: 'add' },
+    { $set: { 'transactionTypes.$[legacy]': 'bet' } },
+    { arrayFilters: [{ legacy: 'add' }] }
+  );
+  const typeRates = await CommissionPlan.collection.updateMany(
+    { 'typeRates.transactionType': 'add' },
+    { $set: { 'typeRates.$[legacy].transactionType': 'bet' } },
+    { arrayFilters: [{ 'legacy.transactionType': 'add' }] }
+  );
+  const dropped = await CommissionPlan.collection.updateMany(
+    { $or: [{ transactionTypes: 'deduct' }, { 'typeRates.transactionType': 'deduct' }] },
+    { $pull: { transactionTypes: 'deduct', typeRates: { transactionType: 'deduct' } } }
+  );
+
+  console.log(`✅ Commission plans: ${plans.modifiedCount + typeRates.modifiedCount} now pay on bets, ${dropped.modifiedCount} dropped deductions`);
+  await mongoose.connection.close();
+};
+
+run().catch(async (err) => {
+  console.error('❌ Transaction type migration failed:', err.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
\ No newline at end of file
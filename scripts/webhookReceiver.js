@@ -0,0 +1,56 @@
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+
+// A local endpoint for trying out webhook subscriptions. It checks each
+// delivery's signature with WEBHOOK_SECRET and prints the event. Set
+// WEBHOOK_RECEIVER_FAIL_RATE (0-1) to reject some deliveries and watch them
+// being retried.
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_RATE = parseFloat(process.env.WEBHOOK_RECEIVER_FAIL_RATE) || 0;
+const TOLERANCE_SECONDS = 300;
+
+if (!SECRET) {
+  console.error('❌ Set WEBHOOK_SECRET to the secret returned when the subscription was created');
+  process.exit(1);
+}
+
+const verify = (req, body) => {
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const signature = req.headers['x-webhook-signature'] || '';
+  if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const event = req.headers['x-webhook-event'];
+    const delivery = req.headers['x-webhook-delivery'];
+
+    if (!verify(req, body)) {
+      console.warn(`⚠️ ${delivery} ${event}: invalid signature`);
+      res.writeHead(401).end('invalid signature');
+      return;
+    }
+
+    if (Math.random() < FAIL_RATE) {
+      console.warn(`⚠️ ${delivery} ${event}: rejected on purpose`);
+      res.writeHead(503).end('try again later');
+      return;
+    }
+
+    console.log(`✅ ${delivery} ${event}:`, JSON.stringify(JSON.parse(body).data));
+    res.writeHead(204).end();
+  });
+}).listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
\ No newline at end of file
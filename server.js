@@ -1,15 +1,16 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 const connectDB = require('./config/db');
-const { checkAccess } = require('./routes/memberRoutes');
-const reportService = require('./services/reportService');
+const { startJobs } = require('./services/jobs');
 
 const app = express();
 connectDB();
+startJobs();
 
 app.use(helmet());
 app.use(helmet.contentSecurityPolicy({
@@ -23,10 +24,13 @@ app.use(helmet.contentSecurityPolicy({
   }
 }));
 
+// Game providers call the wallet for every bet from a handful of servers, so
+// they are authenticated by signature instead of being rate limited per IP.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
-  message: 'Too many requests from this IP, please try again later'
+  message: 'Too many requests from this IP, please try again later',
+  skip: (req) => req.path.startsWith('/api/wallet/')
 });
 app.use(limiter);
 
@@ -35,21 +39,47 @@ const corsOptions = {
     ? 'https://your-production-domain.com' 
     : 'http://localhost:3000',
   credentials: true,
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/wallet/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} | ${req.method} ${req.originalUrl} | IP: ${req.ip}`);
+  const incomingId = req.get('x-request-id');
+  req.id = incomingId && /^[\w-]{1,100}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const url = req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1[redacted]');
+  console.log(`${new Date().toISOString()} | ${req.id} | ${req.method} ${url} | IP: ${req.ip}`);
   next();
 });
 
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/members', require('./routes/memberRoutes').router);
+app.use('/api/transactions', require('./routes/transactionRoutes'));
+app.use('/api/me', require('./routes/meRoutes'));
+app.use('/api/credit-requests', require('./routes/creditRequestRoutes'));
+app.use('/api/wallet', require('./routes/walletRoutes'));
 app.use('/api/agents', require('./routes/agentRoutes'));
+app.use('/api/invites', require('./routes/inviteRoutes'));
+app.use('/api/roles', require('./routes/roleRoutes'));
+app.use('/api/audit', require('./routes/auditRoutes'));
+app.use('/api/commission-plans', require('./routes/commissionRoutes'));
+app.use('/api/commission-settlements', require('./routes/settlementRoutes'));
+app.use('/api/reports', require('./routes/reportRoutes'));
+app.use('/api/jobs', require('./routes/jobRoutes'));
+app.use('/api/reconciliation', require('./routes/reconciliationRoutes'));
+app.use('/api/events', require('./routes/eventRoutes'));
+app.use('/api/webhooks', require('./routes/webhookRoutes'));
 
 app.get('/health', (req, res) => {
   res.status(200).json({ 
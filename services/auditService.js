@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const stableStringify = require('../utils/stableStringify');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 10;
+const SENSITIVE_FIELDS = ['password', 'refreshTokenHash', 'secret', '__v'];
+
+const HASHED_FIELDS = [
+  'seq', 'actor', 'actorUsername', 'actorRole', 'action', 'status', 'targetType', 'targetId',
+  'before', 'after', 'changes', 'metadata', 'ip', 'userAgent', 'requestId', 'createdAt', 'prevHash'
+];
+
+const computeHash = (entry) => {
+  const payload = {};
+  HASHED_FIELDS.forEach(field => {
+    payload[field] = entry[field];
+  });
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+};
+
+const sanitize = (value) => {
+  if (!value) return undefined;
+
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : { ...value };
+  SENSITIVE_FIELDS.forEach(field => delete plain[field]);
+
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const diffKeys = (before, after) => {
+  if (!before || !after) return [];
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => key !== 'updatedAt' && stableStringify(before[key]) !== stableStringify(after[key]));
+};
+
+// Entries form a hash chain: each one commits to the previous entry's hash.
+// The unique index on `seq` makes concurrent writers race for the next slot,
+// and the loser simply re-reads the head and tries again.
+const appendEntry = async (fields) => {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+
+    const entry = {
+      ...fields,
+      seq: head ? head.seq + 1 : 1,
+      prevHash: head ? head.hash : GENESIS_HASH,
+      createdAt: new Date()
+    };
+    entry.hash = computeHash(entry);
+
+    try {
+      return await AuditLog.create(entry);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  throw new Error('Could not append audit log entry after repeated conflicts');
+};
+
+const recordAudit = async (req, action, {
+  targetType,
+  targetId,
+  before,
+  after,
+  status = 'success',
+  metadata,
+  actor
+} = {}) => {
+  try {
+    const cleanBefore = sanitize(before);
+    const cleanAfter = sanitize(after);
+    const user = actor || req.user || {};
+
+    return await appendEntry({
+      actor: user.id || user._id,
+      actorUsername: user.username,
+      actorRole: user.role,
+      action,
+      status,
+      targetType,
+      targetId: targetId ? targetId.toString() : undefined,
+      before: cleanBefore,
+      after: cleanAfter,
+      changes: diffKeys(cleanBefore, cleanAfter),
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`❌ Failed to write audit log for ${action}:`, err);
+    return null;
+  }
+};
+
+const searchAuditLogs = async ({ actor, action, status, targetType, targetId, requestId, from, to, page = 1, limit = 50 }) => {
+  const filter = {};
+
+  if (actor) filter.actor = actor;
+  if (action) {
+    filter.action = action.endsWith('*')
+      ? { $regex: `^${action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  if (status) filter.status = status;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (requestId) filter.requestId = requestId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const [total, entries] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter)
+      .sort({ seq: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean()
+  ]);
+
+  return { total, page, limit, entries };
+};
+
+const verifyChain = async ({ fromSeq = 1, toSeq } = {}) => {
+  const filter = { seq: { $gte: fromSeq } };
+  if (toSeq) filter.seq.$lte = toSeq;
+
+  let expectedSeq = fromSeq;
+  let prevHash = null;
+  let checked = 0;
+
+  if (fromSeq > 1) {
+    const previous = await AuditLog.findOne({ seq: fromSeq - 1 }).select('hash').lean();
+    prevHash = previous ? previous.hash : null;
+  } else {
+    prevHash = GENESIS_HASH;
+  }
+
+  const cursor = AuditLog.find(filter).sort({ seq: 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, brokenAt: expectedSeq, reason: 'Missing entry in sequence' };
+    }
+    if (prevHash !== null && entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: 'Previous hash does not match' };
+    }
+    if (computeHash(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry hash does not match its contents' };
+    }
+
+    prevHash = entry.hash;
+    expectedSeq++;
+    checked++;
+  }
+
+  return { valid: true, checked };
+};
+
+module.exports = {
+  recordAudit,
+  searchAuditLogs,
+  verifyChain
+};
\ No newline at end of file
@@ -1,40 +1,257 @@
+const mongoose = require('mongoose');
 const AgentStats = require('../models/AgentStats');
+const CommissionPlan = require('../models/CommissionPlan');
+const CommissionEntry = require('../models/CommissionEntry');
+const OutboxEvent = require('../models/OutboxEvent');
 const User = require('../models/User');
+const runInTransaction = require('../utils/runInTransaction');
+const { toDateKey, fromDateKey, addDays, isoWeekday } = require('../utils/businessTime');
+const { formatAmount, fromMinor, addMoney, multiplyMoney } = require('../utils/money');
 
-const calculateCommission = async (agentId, betAmount, description = 'Commission from bet') => {
+// Commission is earned on what members stake, so without a plan only bets
+// count towards it.
+const LEGACY_COMMISSIONABLE_TYPES = ['bet'];
+
+const periodStart = (date, period) => {
+  let key = toDateKey(date);
+  if (period === 'week') {
+    key = addDays(key, -isoWeekday(key));
+  } else if (period === 'month') {
+    key = `${key.slice(0, 8)}01`;
+  }
+  return fromDateKey(key);
+};
+
+const resolvePlan = async (agentId, at = new Date(), { session } = {}) => {
+  const activeAt = {
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+  };
+
+  const agentPlan = await CommissionPlan.findOne({ agent: agentId, ...activeAt })
+    .sort({ effectiveFrom: -1 })
+    .session(session || null);
+  if (agentPlan) return agentPlan;
+
+  return CommissionPlan.findOne({ agent: null, ...activeAt })
+    .sort({ effectiveFrom: -1 })
+    .session(session || null);
+};
+
+const getPeriodVolume = async (agentId, from, { session } = {}) => {
+  const [result] = await CommissionEntry.aggregate([
+    { $match: { agent: new mongoose.Types.ObjectId(agentId), createdAt: { $gte: from } } },
+    { $group: { _id: null, volume: { $sum: '$baseAmount' } } }
+  ]).session(session || null);
+
+  return fromMinor(result?.volume);
+};
+
+// Returns the rate that applies to one transaction, or null when the plan does
+// not pay commission on this transaction type at all. Agents without any plan
+// fall back to the flat `AgentStats.commissionRate` on bets.
+const computeRate = async ({ plan, agentStats, agentId, baseAmount, transactionType, at, session }) => {
+  if (!plan) {
+    if (!LEGACY_COMMISSIONABLE_TYPES.includes(transactionType)) return null;
+    return { rate: agentStats.commissionRate, planType: 'legacy' };
+  }
+
+  if (plan.type === 'by_type') {
+    const typeRate = plan.typeRates.find(t => t.transactionType === transactionType);
+    return typeRate ? { rate: typeRate.rate, planType: plan.type } : null;
+  }
+
+  if (!plan.transactionTypes.includes(transactionType)) return null;
+
+  if (plan.type === 'flat') {
+    return { rate: plan.rate, planType: plan.type };
+  }
+
+  const periodVolume = addMoney(await getPeriodVolume(agentId, periodStart(at, plan.volumePeriod), { session }), baseAmount);
+  const tier = [...plan.tiers].reverse().find(t => periodVolume >= t.minVolume);
+
+  return { rate: tier ? tier.rate : 0, planType: plan.type, periodVolume };
+};
+
+const calculateCommission = async ({ agentId, transaction, memberId, description = 'Commission', session } = {}) => {
   try {
-    const agentStats = await AgentStats.findOne({ agent: agentId }).populate('agent');
+    const agentStats = await AgentStats.findOne({ agent: agentId }).populate('agent').session(session || null);
     if (!agentStats || !agentStats.agent) {
       console.log('Agent stats not found for agent ID:', agentId);
       return 0;
     }
-    
-    const commission = betAmount * agentStats.commissionRate;
-    
-    if (commission <= 0) {
+
+    const at = transaction.createdAt || new Date();
+    const plan = await resolvePlan(agentId, at, { session });
+    const applied = await computeRate({
+      plan,
+      agentStats,
+      agentId,
+      baseAmount: transaction.amount,
+      transactionType: transaction.type,
+      at,
+      session
+    });
+
+    if (!applied) {
       return 0;
     }
-    
-    const agent = agentStats.agent;
-    agent.credit += commission;
-    await agent.save();
-    
-    agentStats.totalCommission += commission;
-    agentStats.commissionHistory.push({
+
+    const commission = multiplyMoney(transaction.amount, applied.rate);
+
+    const [entry] = await CommissionEntry.create([{
+      agent: agentId,
+      member: memberId || transaction.user,
+      sourceTransaction: transaction._id,
+      transactionType: transaction.type,
+      baseAmount: transaction.amount,
+      rate: applied.rate,
       amount: commission,
-      date: new Date(),
-      description: `${description}: ${betAmount.toLocaleString('th-TH', { minimumFractionDigits: 2 })}`
-    });
-    await agentStats.save();
+      plan: plan?._id,
+      planType: applied.planType,
+      periodVolume: applied.periodVolume,
+      description
+    }], { session });
+
+    if (commission !== 0) {
+      await OutboxEvent.enqueue('commission.accrued', {
+        entry: entry._id,
+        agent: entry.agent,
+        member: entry.member,
+        sourceTransaction: entry.sourceTransaction,
+        transactionType: entry.transactionType,
+        baseAmount: entry.baseAmount,
+        rate: entry.rate,
+        amount: entry.amount,
+        createdAt: entry.createdAt
+      }, { session });
+    }
     
-    console.log(`✅ Commission calculated: ${commission.toLocaleString('th-TH', { minimumFractionDigits: 2 })} for agent ${agent.username}`);
+    if (commission > 0) {
+      console.log(`✅ Commission accrued: ${formatAmount(commission)} for agent ${agentStats.agent.username}`);
+    }
     return commission;
   } catch (err) {
     console.error('❌ Commission calculation error:', err);
+    if (session) throw err;
     return 0;
   }
 };
 
+// Reverses the commission accrued on a transaction with a negative entry of
+// the same size. The original entry is never touched, so a clawback works the
+// same whether the commission is still pending or has already been paid out.
+const clawbackCommission = async ({ transactionIds, description = 'Commission clawback', session } = {}) => {
+  const work = async (session) => {
+    const original = await CommissionEntry.findOne({
+      sourceTransaction: { $in: transactionIds },
+      kind: 'accrual'
+    }).session(session);
+
+    if (!original) {
+      return null;
+    }
+
+    if (original.clawedBackBy) {
+      throw new Error('Commission for this transaction has already been clawed back');
+    }
+
+    const [clawback] = await CommissionEntry.create([{
+      agent: original.agent,
+      member: original.member,
+      transactionType: original.transactionType,
+      baseAmount: -original.baseAmount,
+      rate: original.rate,
+      amount: -original.amount,
+      plan: original.plan,
+      planType: original.planType,
+      kind: 'clawback',
+      clawbackOf: original._id,
+      description
+    }], { session });
+
+    const claimed = await CommissionEntry.updateOne(
+      { _id: original._id, clawedBackBy: { $exists: false } },
+      { clawedBackBy: clawback._id },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new Error('Commission for this transaction has already been clawed back');
+    }
+
+    await OutboxEvent.enqueue('commission.clawed_back', {
+      entry: clawback._id,
+      clawbackOf: original._id,
+      agent: clawback.agent,
+      member: clawback.member,
+      sourceTransaction: original.sourceTransaction,
+      transactionType: clawback.transactionType,
+      amount: clawback.amount,
+      description,
+      createdAt: clawback.createdAt
+    }, { session });
+
+    return { original, clawback };
+  };
+
+  return session ? work(session) : runInTransaction(work);
+};
+
+// Plans are never edited in place: a new version closes the plan that was
+// active at its start date, so entries keep pointing at the terms they used.
+const createPlanVersion = async (fields) => {
+  const effectiveFrom = fields.effectiveFrom ? new Date(fields.effectiveFrom) : new Date();
+  const agent = fields.agent || null;
+
+  return runInTransaction(async (session) => {
+    const next = await CommissionPlan.findOne({ agent, effectiveFrom: { $gt: effectiveFrom } })
+      .sort({ effectiveFrom: 1 })
+      .session(session);
+
+    const [plan] = await CommissionPlan.create([{
+      ...fields,
+      agent,
+      effectiveFrom,
+      effectiveTo: next ? next.effectiveFrom : null
+    }], { session });
+
+    await CommissionPlan.updateMany(
+      {
+        _id: { $ne: plan._id },
+        agent,
+        effectiveFrom: { $lt: effectiveFrom },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gt: effectiveFrom } }]
+      },
+      { effectiveTo: effectiveFrom },
+      { session }
+    );
+
+    return plan;
+  });
+};
+
+// Carryover entries only move an unpaid balance between statements, so they
+// are left out of per-period commission figures.
+const getCommissionByAgent = async (from, to) => {
+  const rows = await CommissionEntry.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to }, kind: { $ne: 'carryover' } } },
+    {
+      $group: {
+        _id: '$agent',
+        commission: { $sum: '$amount' },
+        volume: { $sum: '$baseAmount' },
+        entries: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const byAgent = {};
+  rows.forEach(row => {
+    byAgent[row._id.toString()] = { ...row, commission: fromMinor(row.commission), volume: fromMinor(row.volume) };
+  });
+  return byAgent;
+};
+
 const updateAgentStats = async (agentId) => {
   try {
     const agentStats = await AgentStats.findOne({ agent: agentId });
@@ -44,11 +261,11 @@ const updateAgentStats = async (agentId) => {
     const activeMemberCount = await User.countDocuments({ parent: agentId, role: 'member', credit: { $gt: 0 } });
     
     const totalCreditResult = await User.aggregate([
-      { $match: { parent: agentId, role: 'member' } },
+      { $match: { parent: new mongoose.Types.ObjectId(agentId), role: 'member' } },
       { $group: { _id: null, total: { $sum: '$credit' } } }
     ]);
     
-    const totalCredit = totalCreditResult[0]?.total || 0;
+    const totalCredit = fromMinor(totalCreditResult[0]?.total);
     
     agentStats.totalMembers = memberCount;
     agentStats.activeMembers = activeMemberCount;
@@ -61,4 +278,12 @@ const updateAgentStats = async (agentId) => {
   }
 };
 
-module.exports = { calculateCommission, updateAgentStats };
\ No newline at end of file
+module.exports = {
+  calculateCommission,
+  updateAgentStats,
+  resolvePlan,
+  createPlanVersion,
+  getCommissionByAgent,
+  clawbackCommission,
+  periodStart
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const CreditRequest = require('../models/CreditRequest');
+const { adjustMemberCredit } = require('./ledgerService');
+const runInTransaction = require('../utils/runInTransaction');
+const { formatAmount, addMoney, subtractMoney } = require('../utils/money');
+
+const TTL_HOURS = parseInt(process.env.CREDIT_REQUEST_TTL_HOURS, 10) || 24;
+
+const label = (request) => (request.type === 'deposit' ? 'Deposit' : 'Withdrawal');
+
+// A withdrawal reserves the member's funds as soon as it is submitted, so the
+// same credit cannot be spent or withdrawn twice while the agent reviews it.
+const createCreditRequest = async ({ memberId, type, amount, method, reference, note }) => {
+  return runInTransaction(async (session) => {
+    const member = await User.findOne({ _id: memberId, role: 'member' }).session(session);
+    if (!member) {
+      throw new Error('Member not found');
+    }
+    if (member.status !== 'active') {
+      throw new Error(`Member account is ${member.status}`);
+    }
+    if (!member.parent) {
+      throw new Error('No agent is assigned to this account');
+    }
+
+    if (type === 'withdrawal') {
+      if (member.availableCredit < amount) {
+        throw new Error(`Insufficient credit. Available credit: ${member.availableCredit.toFixed(2)}`);
+      }
+      member.reservedCredit = addMoney(member.reservedCredit, amount);
+      await member.save({ session });
+    }
+
+    const [request] = await CreditRequest.create([{
+      member: member._id,
+      agent: member.parent,
+      type,
+      amount,
+      method,
+      reference,
+      note,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+    }], { session });
+
+    return { request, member };
+  });
+};
+
+const loadPending = async (requestId, session) => {
+  const request = await CreditRequest.findById(requestId).session(session);
+  if (!request) {
+    throw new Error('Credit request not found');
+  }
+  if (request.status !== 'pending') {
+    throw new Error(`Credit request is already ${request.status}`);
+  }
+  return request;
+};
+
+const releaseReservation = async (request, session) => {
+  if (request.type !== 'withdrawal') return;
+
+  const member = await User.findById(request.member).session(session);
+  if (!member) return;
+
+  member.reservedCredit = Math.max(subtractMoney(member.reservedCredit, request.amount), 0);
+  await member.save({ session });
+};
+
+const approveCreditRequest = async ({ requestId, reviewedBy, reviewerName }) => {
+  return runInTransaction(async (session) => {
+    const request = await loadPending(requestId, session);
+    if (request.expiresAt <= new Date()) {
+      throw new Error('Credit request has expired');
+    }
+
+    // The reserved amount is released and deducted in the same transaction,
+    // so it never becomes spendable in between.
+    await releaseReservation(request, session);
+
+    const result = await adjustMemberCredit({
+      memberId: request.member,
+      amount: request.amount,
+      type: request.type === 'deposit' ? 'add' : 'deduct',
+      adjustedBy: reviewedBy,
+      description: `${label(request)} request approved by ${reviewerName}: ${formatAmount(request.amount)}`,
+      transactionType: request.type,
+      session
+    });
+
+    request.status = 'approved';
+    request.reviewedBy = reviewedBy;
+    request.reviewedAt = new Date();
+    request.transaction = result.transaction._id;
+    await request.save({ session });
+
+    return { request, ...result };
+  });
+};
+
+const rejectCreditRequest = async ({ requestId, reviewedBy, reason }) => {
+  return runInTransaction(async (session) => {
+    const request = await loadPending(requestId, session);
+
+    await releaseReservation(request, session);
+
+    request.status = 'rejected';
+    request.reviewedBy = reviewedBy;
+    request.reviewedAt = new Date();
+    request.rejectionReason = reason;
+    await request.save({ session });
+
+    return request;
+  });
+};
+
+// Pending requests past their deadline are closed one at a time, each in its
+// own transaction, so a request approved concurrently is simply skipped.
+const expireCreditRequests = async () => {
+  const due = await CreditRequest.find({ status: 'pending', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .lean();
+
+  let expired = 0;
+  for (const { _id } of due) {
+    const done = await runInTransaction(async (session) => {
+      const request = await CreditRequest.findOne({ _id, status: 'pending' }).session(session);
+      if (!request) return false;
+
+      await releaseReservation(request, session);
+
+      request.status = 'expired';
+      await request.save({ session });
+      return true;
+    });
+    if (done) expired++;
+  }
+
+  return { due: due.length, expired };
+};
+
+module.exports = {
+  createCreditRequest,
+  approveCreditRequest,
+  rejectCreditRequest,
+  expireCreditRequests
+};
\ No newline at end of file
@@ -0,0 +1,224 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { query } = require('express-validator');
+const {
+  BUSINESS_TIMEZONE,
+  isDateKey,
+  toDateKey,
+  fromDateKey,
+  addDays,
+  keyToUTC,
+  toWallClock
+} = require('../utils/businessTime');
+
+const FORMATS = ['csv', 'xlsx'];
+const DEFAULT_LOCALE = process.env.EXPORT_LOCALE || 'th-TH';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const isSupportedLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (err) {
+    return false;
+  }
+};
+
+const exportFormatValidators = [
+  query('format')
+    .optional()
+    .isIn(FORMATS).withMessage(`format must be one of ${FORMATS.join(', ')}`),
+  query('locale')
+    .optional()
+    .custom(value => {
+      if (!isSupportedLocale(value)) {
+        throw new Error('Unsupported locale');
+      }
+      return true;
+    })
+];
+
+const exportQueryValidators = [
+  ...exportFormatValidators,
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+// Plain dates ("2024-03-01") are whole business days, so `to=2024-03-31`
+// still includes everything that happened on the 31st.
+const dateRangeFilter = (from, to) => {
+  if (!from && !to) return undefined;
+
+  const range = {};
+  if (from) range.$gte = isDateKey(from) ? fromDateKey(from) : new Date(from);
+  if (to) {
+    if (isDateKey(to)) {
+      range.$lt = fromDateKey(addDays(to, 1));
+    } else {
+      range.$lte = new Date(to);
+    }
+  }
+  return range;
+};
+
+const exportOptions = (req, filename, columns) => ({
+  format: req.query.format || 'csv',
+  locale: req.query.locale || DEFAULT_LOCALE,
+  filename,
+  columns
+});
+
+const csvEscape = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV cells are written as the reader would see them in the chosen locale.
+// XLSX cells keep real numbers and dates and only carry a display format, so
+// spreadsheets can still sum and sort them.
+const formatCsvCell = (value, column, locale) => {
+  if (value === null || value === undefined) return '';
+  if (column.type === 'number') {
+    return Number(value).toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+  if (column.type === 'integer') {
+    return Number(value).toLocaleString(locale);
+  }
+  if (column.type === 'date') {
+    return new Date(value).toLocaleString(locale, { timeZone: BUSINESS_TIMEZONE });
+  }
+  if (column.type === 'day') {
+    return new Date(value).toLocaleDateString(locale, { timeZone: BUSINESS_TIMEZONE });
+  }
+  // Free text such as descriptions must not be evaluated as a formula.
+  return /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : value;
+};
+
+const XLSX_NUM_FMT = {
+  number: '#,##0.00',
+  integer: '#,##0',
+  date: 'yyyy-mm-dd hh:mm:ss',
+  day: 'yyyy-mm-dd'
+};
+
+// Resolves once the response can take more data, or once the client has gone
+// away, in which case it never would.
+const waitForDrain = async (res) => {
+  if (res.destroyed) return;
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([once(res, 'drain', { signal }), once(res, 'close', { signal })]);
+  } finally {
+    controller.abort();
+  }
+};
+
+// Writes rows straight to the response as they are produced. `addRow` waits
+// for the socket to drain, so a slow client applies back-pressure all the way
+// to the database cursor instead of rows piling up in memory.
+const createExporter = (res, { format, filename, sheetName = 'Export', columns, locale = DEFAULT_LOCALE }) => {
+  res.status(200);
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+
+  if (format === 'csv') {
+    // The BOM makes Excel open UTF-8 CSV (Thai usernames, descriptions) correctly.
+    res.write('\uFEFF' + columns.map(c => csvEscape(c.header)).join(',') + '\r\n');
+
+    return {
+      addRow: async (row) => {
+        const line = columns.map(c => csvEscape(formatCsvCell(row[c.key], c, locale))).join(',') + '\r\n';
+        if (!res.write(line)) {
+          await waitForDrain(res);
+        }
+      },
+      end: async () => {
+        res.end();
+      }
+    };
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(c => ({
+    header: c.header,
+    key: c.key,
+    width: c.width || (c.type === 'date' ? 20 : 16),
+    style: XLSX_NUM_FMT[c.type] ? { numFmt: XLSX_NUM_FMT[c.type] } : undefined
+  }));
+
+  return {
+    addRow: async (row) => {
+      const values = {};
+      columns.forEach(c => {
+        const value = row[c.key];
+        if (value && c.type === 'date') {
+          values[c.key] = toWallClock(value);
+        } else if (value && c.type === 'day') {
+          values[c.key] = keyToUTC(toDateKey(value));
+        } else {
+          values[c.key] = value;
+        }
+      });
+      sheet.addRow(values).commit();
+      if (res.writableNeedDrain) {
+        await waitForDrain(res);
+      }
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// Streams every document from a Mongoose query cursor through `mapRow`.
+// Once headers are sent an error can no longer become a JSON response, so the
+// connection is destroyed instead and the client sees a truncated download.
+// If the client disconnects, the export stops and the cursor is closed.
+const streamExport = async (res, options, source, mapRow = (doc) => doc) => {
+  const exporter = createExporter(res, options);
+  let count = 0;
+
+  try {
+    for await (const doc of source) {
+      if (res.destroyed) break;
+      await exporter.addRow(mapRow(doc));
+      count++;
+    }
+    if (res.destroyed) {
+      if (typeof source.close === 'function') await source.close();
+      console.warn(`⚠️ Export ${options.filename} abandoned by the client after ${count} rows`);
+      return count;
+    }
+    await exporter.end();
+  } catch (err) {
+    console.error(`❌ Export ${options.filename} failed after ${count} rows:`, err);
+    res.destroy(err);
+    throw err;
+  }
+
+  return count;
+};
+
+module.exports = {
+  FORMATS,
+  DEFAULT_LOCALE,
+  isSupportedLocale,
+  exportFormatValidators,
+  exportQueryValidators,
+  dateRangeFilter,
+  exportOptions,
+  createExporter,
+  streamExport
+};
\ No newline at end of file
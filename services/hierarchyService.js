@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { fromMinor, addMoney, formatAmount } = require('../utils/money');
+
+const AGENT_ROLES = ['masteragent', 'agent'];
+
+const isAgentRole = (role) => AGENT_ROLES.includes(role);
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+const getAncestorIds = async (userId) => {
+  const [result] = await User.aggregate([
+    { $match: { _id: toObjectId(userId) } },
+    {
+      $graphLookup: {
+        from: User.collection.name,
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        as: 'ancestors'
+      }
+    },
+    { $project: { ancestors: '$ancestors._id' } }
+  ]);
+
+  return result ? result.ancestors.map(id => id.toString()) : [];
+};
+
+const isAncestor = async (ancestorId, userId) => {
+  const ancestors = await getAncestorIds(userId);
+  return ancestors.includes(ancestorId.toString());
+};
+
+const DESCENDANT_FIELDS = 'username role status agentCode credit reservedCredit createdAt';
+
+// Walks the subtree one level at a time over the { parent } index, reading
+// only the listed fields. A single $graphLookup would hold every descendant's
+// full document in one result and hit its memory limit on large agents.
+const getDescendants = async (rootId, { roles, fields = DESCENDANT_FIELDS } = {}) => {
+  const descendants = [];
+  let parents = [toObjectId(rootId)];
+
+  while (parents.length > 0) {
+    const level = await User.find({ parent: { $in: parents } })
+      .select(`${fields} role parent`)
+      .lean();
+    descendants.push(...level);
+    parents = level.filter(user => user.role !== 'member').map(user => user._id);
+  }
+
+  // Lean reads return balances in minor units.
+  const converted = descendants.map(d => ('credit' in d
+    ? { ...d, credit: fromMinor(d.credit), reservedCredit: fromMinor(d.reservedCredit) }
+    : d));
+
+  return roles
+    ? converted.filter(d => roles.includes(d.role))
+    : converted;
+};
+
+const getDescendantIds = async (rootId, options) => {
+  const descendants = await getDescendants(rootId, { ...options, fields: '_id' });
+  return descendants.map(d => d._id);
+};
+
+const buildTree = async (rootId) => {
+  const root = await User.findById(rootId).select('username role agentCode credit');
+  if (!root) return null;
+
+  const descendants = await getDescendants(rootId);
+
+  const childrenByParent = {};
+  descendants.forEach(user => {
+    const key = user.parent.toString();
+    (childrenByParent[key] = childrenByParent[key] || []).push(user);
+  });
+
+  const buildNode = (user) => {
+    const children = (childrenByParent[user._id.toString()] || []).map(buildNode);
+
+    const node = {
+      id: user._id,
+      name: user.username,
+      role: user.role,
+      credit: user.credit,
+      formattedCredit: formatAmount(user.credit)
+    };
+
+    if (user.role === 'member') {
+      return node;
+    }
+
+    const subtreeMembers = children.reduce(
+      (sum, child) => sum + (child.role === 'member' ? 1 : child.subtreeMembers), 0
+    );
+    const subtreeCredit = addMoney(...children.map(child => addMoney(child.credit || 0, child.subtreeCredit || 0)));
+
+    node.agentCode = user.agentCode;
+    node.subtreeMembers = subtreeMembers;
+    node.subtreeCredit = subtreeCredit;
+    node.formattedSubtreeCredit = formatAmount(subtreeCredit);
+    node.children = children;
+
+    return node;
+  };
+
+  return buildNode(root);
+};
+
+module.exports = {
+  AGENT_ROLES,
+  isAgentRole,
+  getAncestorIds,
+  isAncestor,
+  getDescendants,
+  getDescendantIds,
+  buildTree
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const Invite = require('../models/Invite');
+const { can } = require('./permissionService');
+
+const PRIVILEGED_INVITE_TTL_HOURS = parseInt(process.env.PRIVILEGED_INVITE_TTL_HOURS, 10) || 72;
+
+const generateCode = () => crypto.randomBytes(8).toString('hex').toUpperCase();
+
+const INVITE_PERMISSIONS = {
+  member: 'invite.manage',
+  agent: 'agent.create',
+  masteragent: 'masteragent.create',
+  superadmin: 'superadmin.create',
+  staff: 'role.manage'
+};
+
+const canIssueInvite = (permissions, role) => can(permissions, INVITE_PERMISSIONS[role]);
+
+// Privileged invites always expire and are single-use unless stated otherwise;
+// member referral invites stay open until the agent revokes them.
+const createInvite = async ({ createdBy, role, staffRole, maxUses, expiresAt, note }) => {
+  const kind = role === 'member' ? 'referral' : 'privileged';
+
+  if (kind === 'privileged') {
+    maxUses = maxUses || 1;
+    expiresAt = expiresAt || new Date(Date.now() + PRIVILEGED_INVITE_TTL_HOURS * 60 * 60 * 1000);
+  }
+
+  return Invite.create({
+    code: generateCode(),
+    kind,
+    role,
+    staffRole: role === 'staff' ? staffRole : undefined,
+    createdBy,
+    maxUses: maxUses || null,
+    expiresAt: expiresAt || null,
+    note
+  });
+};
+
+const redeemInvite = async (code, { session } = {}) => {
+  const now = new Date();
+
+  return Invite.findOneAndUpdate(
+    {
+      code,
+      revokedAt: { $exists: false },
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { uses: 1 } },
+    { new: true, session }
+  );
+};
+
+const revokeInvite = async (invite, revokedBy) => {
+  invite.revokedAt = new Date();
+  invite.revokedBy = revokedBy;
+  return invite.save();
+};
+
+module.exports = {
+  canIssueInvite,
+  createInvite,
+  redeemInvite,
+  revokeInvite
+};
\ No newline at end of file
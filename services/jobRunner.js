@@ -0,0 +1,231 @@
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+const { BUSINESS_TIMEZONE } = require('../utils/businessTime');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const RETRY_POLL_MS = 30 * 1000;
+
+const jobs = new Map();
+let started = false;
+
+// `handler(run)` does the work and may return a plain object of stats that is
+// stored on the JobRun. Failed runs are retried `maxAttempts - 1` times with
+// exponential backoff starting at `backoffMs`. Jobs without a `schedule` only
+// run when started, and read their input from `run.params`.
+const defineJob = (name, {
+  schedule,
+  handler,
+  runOnStartup = false,
+  maxAttempts = 3,
+  backoffMs = 60 * 1000,
+  leaseMs = 10 * 60 * 1000
+}) => {
+  if (schedule && !cron.validate(schedule)) {
+    throw new Error(`Invalid schedule for job ${name}: ${schedule}`);
+  }
+  jobs.set(name, { name, schedule, handler, runOnStartup, maxAttempts, backoffMs, leaseMs });
+};
+
+const getJob = (name) => jobs.get(name);
+
+const listJobs = () => [...jobs.values()].map(({ handler, ...job }) => job);
+
+// Takes the lease if nobody holds an unexpired one. The upsert races on the
+// _id, so when two instances try at once exactly one of them wins.
+const acquireLock = async (job) => {
+  const now = new Date();
+
+  let previous;
+  try {
+    previous = await JobLock.findOneAndUpdate(
+      { _id: job.name, lockedUntil: { $lte: now } },
+      { owner: INSTANCE_ID, acquiredAt: now, lockedUntil: new Date(now.getTime() + job.leaseMs), $unset: { run: 1 } },
+      { upsert: true, new: false }
+    );
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+
+  // The previous holder let its lease lapse without finishing: it crashed or
+  // was stopped mid-run, so its run will never be closed by anyone else.
+  if (previous?.run) {
+    await JobRun.updateOne(
+      { _id: previous.run, status: 'running' },
+      {
+        status: 'failed',
+        finishedAt: now,
+        error: { message: `Lease held by ${previous.owner} expired before the run finished` }
+      }
+    );
+  }
+
+  return true;
+};
+
+const extendLock = (job) => JobLock.updateOne(
+  { _id: job.name, owner: INSTANCE_ID },
+  { lockedUntil: new Date(Date.now() + job.leaseMs) }
+);
+
+const releaseLock = (job) => JobLock.updateOne(
+  { _id: job.name, owner: INSTANCE_ID },
+  { lockedUntil: new Date(), $unset: { run: 1 } }
+);
+
+const execute = async (job, run) => {
+  // Renew the lease while the handler is still working so long runs are not
+  // mistaken for crashed ones.
+  const heartbeat = setInterval(() => {
+    extendLock(job).catch(err => console.error(`⚠️ Could not extend lease for job ${job.name}:`, err));
+  }, Math.max(job.leaseMs / 3, 1000));
+
+  try {
+    const stats = await job.handler(run);
+
+    run.status = 'succeeded';
+    run.stats = stats;
+    console.log(`✅ Job ${job.name} succeeded (run ${run._id})`);
+  } catch (err) {
+    run.status = 'failed';
+    run.error = { message: err.message, stack: err.stack };
+
+    if (run.attempt < job.maxAttempts) {
+      run.nextRetryAt = new Date(Date.now() + job.backoffMs * 2 ** (run.attempt - 1));
+    }
+    console.error(`❌ Job ${job.name} failed (attempt ${run.attempt}/${job.maxAttempts}):`, err);
+  } finally {
+    clearInterval(heartbeat);
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+
+    try {
+      await run.save();
+    } catch (err) {
+      console.error(`❌ Could not record run ${run._id} of job ${job.name}:`, err);
+    }
+    await releaseLock(job).catch(err => console.error(`⚠️ Could not release lease for job ${job.name}:`, err));
+  }
+
+  return run;
+};
+
+// Starts a run if this instance can take the job's lease. Resolves to null
+// when another instance is already running the job; otherwise to the created
+// run and a `done` promise that settles once the handler has finished.
+const startRun = async (name, { trigger, triggeredBy, attempt = 1, retryOf, params } = {}) => {
+  const job = getJob(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (!(await acquireLock(job))) {
+    return null;
+  }
+
+  let run;
+  try {
+    run = await JobRun.create({
+      job: name,
+      trigger,
+      triggeredBy,
+      attempt,
+      retryOf,
+      params,
+      instance: INSTANCE_ID
+    });
+    await JobLock.updateOne({ _id: name, owner: INSTANCE_ID }, { run: run._id });
+  } catch (err) {
+    await releaseLock(job).catch(() => {});
+    throw err;
+  }
+
+  return { run, done: execute(job, run) };
+};
+
+const runJob = async (name, options) => {
+  const started = await startRun(name, options);
+  if (!started) {
+    console.log(`⏭️ Job ${name} is already running on another instance, skipping`);
+    return null;
+  }
+  return started.done;
+};
+
+// Failed runs due for a retry are claimed atomically, so only one instance
+// picks each of them up.
+const processRetries = async () => {
+  for (;;) {
+    const failed = await JobRun.findOneAndUpdate(
+      { status: 'failed', retryClaimed: false, nextRetryAt: { $lte: new Date() } },
+      { retryClaimed: true },
+      { sort: { nextRetryAt: 1 } }
+    );
+    if (!failed) return;
+
+    if (!getJob(failed.job)) continue;
+
+    const started = await startRun(failed.job, {
+      trigger: 'retry',
+      attempt: failed.attempt + 1,
+      retryOf: failed._id,
+      params: failed.params
+    });
+
+    if (!started) {
+      // The job is running anyway; try this retry again on the next poll.
+      await JobRun.updateOne({ _id: failed._id }, { retryClaimed: false });
+      return;
+    }
+  }
+};
+
+const startScheduler = () => {
+  if (started) return;
+  started = true;
+
+  jobs.forEach(job => {
+    if (job.schedule) {
+      cron.schedule(job.schedule, () => {
+        runJob(job.name, { trigger: 'schedule' }).catch(err => console.error(`❌ Could not start job ${job.name}:`, err));
+      }, { timezone: BUSINESS_TIMEZONE });
+    }
+
+    if (job.runOnStartup) {
+      runJob(job.name, { trigger: 'startup' }).catch(err => console.error(`❌ Could not start job ${job.name}:`, err));
+    }
+  });
+
+  setInterval(() => {
+    processRetries().catch(err => console.error('❌ Job retry processing failed:', err));
+  }, RETRY_POLL_MS).unref();
+
+  console.log(`⏰ Job scheduler started on ${INSTANCE_ID} with ${jobs.size} job(s)`);
+};
+
+const listRuns = async ({ job, status, limit = 50 } = {}) => {
+  const filter = {};
+  if (job) filter.job = job;
+  if (status) filter.status = status;
+
+  return JobRun.find(filter)
+    .populate('triggeredBy', 'username')
+    .sort({ startedAt: -1 })
+    .limit(limit);
+};
+
+const getLocks = () => JobLock.find().lean();
+
+module.exports = {
+  defineJob,
+  getJob,
+  listJobs,
+  startRun,
+  runJob,
+  startScheduler,
+  listRuns,
+  getLocks
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+const { defineJob, startScheduler } = require('./jobRunner');
+const { catchUpReports, backfillReports } = require('./reportService');
+const { expireCreditRequests } = require('./creditRequestService');
+const { reconcileLedger } = require('./reconciliationService');
+const { dispatchWebhooks } = require('./webhookService');
+
+defineJob('daily-reports', {
+  schedule: '5 0 * * *',
+  runOnStartup: true,
+  handler: async () => {
+    const result = await catchUpReports();
+    return { generated: result.generated, skipped: result.skipped.length };
+  }
+});
+
+// Started on demand with { from, to, missingOnly } params. Regenerating a day
+// overwrites its report, so a retry simply runs the whole range again.
+defineJob('report-backfill', {
+  handler: async (run) => {
+    const result = await backfillReports(run.params || {});
+    return { from: result.from, to: result.to, generated: result.generated.length, skipped: result.skipped.length };
+  },
+  leaseMs: 30 * 60 * 1000
+});
+
+defineJob('credit-request-expiry', {
+  schedule: '*/5 * * * *',
+  handler: expireCreditRequests
+});
+
+defineJob('ledger-reconciliation', {
+  schedule: '30 2 * * *',
+  handler: reconcileLedger,
+  leaseMs: 60 * 60 * 1000
+});
+
+// Failed deliveries have their own backoff, so a failed run is not retried;
+// the next minute picks up where it left off.
+defineJob('webhook-dispatch', {
+  schedule: '* * * * *',
+  handler: dispatchWebhooks,
+  maxAttempts: 1,
+  leaseMs: 5 * 60 * 1000
+});
+
+module.exports = { startJobs: startScheduler };
\ No newline at end of file
@@ -0,0 +1,234 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const CreditRequest = require('../models/CreditRequest');
+const { AGENT_ROLES } = require('./hierarchyService');
+const { clawbackCommission } = require('./commissionService');
+const { REVERSIBLE_TRANSACTION_TYPES } = require('../config/transactionTypes');
+const runInTransaction = require('../utils/runInTransaction');
+const { formatAmount } = require('../utils/money');
+
+// Member credit held under an agent is backed by that agent's float: a top-up
+// moves credit from the agent to the member and a deduction moves it back.
+// Both legs are written as Transaction rows pointing at each other.
+const adjustMemberCredit = async ({ memberId, amount, type, adjustedBy, description, transactionType = 'adjustment', session }) => {
+  const work = async (session) => {
+    const member = await User.findOne({ _id: memberId, role: 'member' }).session(session);
+    if (!member) {
+      throw new Error('Member not found');
+    }
+    // An agent may still take credit back from a suspended member, which is
+    // how the balance is cleared before the account is closed.
+    const reclaiming = type === 'deduct' && transactionType === 'adjustment' && member.status === 'suspended';
+    if (member.status !== 'active' && !reclaiming) {
+      throw new Error(`Member account is ${member.status}`);
+    }
+
+    const agent = member.parent
+      ? await User.findOne({ _id: member.parent, role: { $in: AGENT_ROLES } }).session(session)
+      : null;
+
+    if (agent && type === 'add' && agent.credit < amount) {
+      throw new Error(`Insufficient agent float. Current float: ${agent.credit.toFixed(2)}`);
+    }
+
+    const result = await member.updateCredit(amount, type, adjustedBy, description, {
+      session,
+      counterparty: agent?._id,
+      transactionType
+    });
+
+    if (agent) {
+      const floatResult = await agent.updateCredit(
+        amount,
+        type === 'add' ? 'deduct' : 'add',
+        adjustedBy,
+        type === 'add'
+          ? `Float transfer to member ${member.username}: ${formatAmount(amount)}`
+          : `Float returned from member ${member.username}: ${formatAmount(amount)}`,
+        {
+          session,
+          counterparty: member._id,
+          relatedTransaction: result.transaction._id,
+          transactionType: 'float_transfer'
+        }
+      );
+
+      result.transaction.relatedTransaction = floatResult.transaction._id;
+      await result.transaction.save({ session });
+      result.agent = floatResult.member;
+      result.agentTransaction = floatResult.transaction;
+    }
+
+    return result;
+  };
+
+  return session ? work(session) : runInTransaction(work);
+};
+
+const adjustAgentFloat = async ({ agentId, amount, type, adjustedBy, description }) => {
+  return runInTransaction(async (session) => {
+    const agent = await User.findOne({ _id: agentId, role: { $in: AGENT_ROLES } }).session(session);
+    if (!agent) {
+      throw new Error('Agent not found');
+    }
+
+    return agent.updateCredit(amount, type, adjustedBy, description, { session });
+  });
+};
+
+// Moving a member also moves the float that backs their credit: the new agent
+// takes it on and the old agent gets it back, so neither ledger is left with
+// credit it does not cover.
+const moveMember = async ({ memberId, toAgentId, movedBy }) => {
+  return runInTransaction(async (session) => {
+    const member = await User.findOne({ _id: memberId, role: 'member' }).session(session);
+    if (!member) {
+      throw new Error('Member not found');
+    }
+
+    const toAgent = await User.findOne({ _id: toAgentId, role: { $in: AGENT_ROLES } }).session(session);
+    if (!toAgent) {
+      throw new Error('Agent not found');
+    }
+
+    if (member.parent && member.parent.equals(toAgent._id)) {
+      throw new Error('Member already belongs to this agent');
+    }
+
+    const fromAgent = member.parent
+      ? await User.findOne({ _id: member.parent, role: { $in: AGENT_ROLES } }).session(session)
+      : null;
+
+    const result = { member, fromAgent, toAgent };
+
+    if (member.credit > 0) {
+      if (toAgent.credit < member.credit) {
+        throw new Error(`Insufficient agent float. Current float: ${toAgent.credit.toFixed(2)}`);
+      }
+
+      const taken = await toAgent.updateCredit(
+        member.credit,
+        'deduct',
+        movedBy,
+        `Float transfer for member ${member.username} moved in: ${formatAmount(member.credit)}`,
+        { session, counterparty: member._id, transactionType: 'float_transfer' }
+      );
+      result.toAgentTransaction = taken.transaction;
+
+      if (fromAgent) {
+        const returned = await fromAgent.updateCredit(
+          member.credit,
+          'add',
+          movedBy,
+          `Float returned for member ${member.username} moved out: ${formatAmount(member.credit)}`,
+          {
+            session,
+            counterparty: member._id,
+            relatedTransaction: taken.transaction._id,
+            transactionType: 'float_transfer'
+          }
+        );
+        taken.transaction.relatedTransaction = returned.transaction._id;
+        await taken.transaction.save({ session });
+        result.fromAgentTransaction = returned.transaction;
+      }
+    }
+
+    member.parent = toAgent._id;
+    await member.save({ session });
+
+    // Requests still waiting for review follow the member to the new agent.
+    await CreditRequest.updateMany(
+      { member: member._id, status: 'pending' },
+      { agent: toAgent._id },
+      { session }
+    );
+
+    return result;
+  });
+};
+
+// Undoes an adjustment, deposit or withdrawal with opposite entries instead of
+// editing history. A member entry and the agent float leg linked to it are
+// reversed together, and any commission accrued on either is clawed back.
+const reverseTransaction = async ({ transactionId, reversedBy, reason }) => {
+  return runInTransaction(async (session) => {
+    const original = await Transaction.findById(transactionId).session(session);
+    if (!original) {
+      throw new Error('Transaction not found');
+    }
+    if (original.reversedBy) {
+      throw new Error('Transaction has already been reversed');
+    }
+    if (original.type === 'float_transfer') {
+      throw new Error('Float transfers are reversed together with the member transaction they belong to');
+    }
+    if (!REVERSIBLE_TRANSACTION_TYPES.includes(original.type)) {
+      throw new Error(`Transactions of type ${original.type} cannot be reversed`);
+    }
+
+    const legs = [original];
+    if (original.relatedTransaction) {
+      const related = await Transaction.findById(original.relatedTransaction).session(session);
+      if (related) legs.push(related);
+    }
+
+    const reversals = [];
+    for (const leg of legs) {
+      const user = await User.findById(leg.user).session(session);
+      if (!user) {
+        throw new Error('Account for this transaction no longer exists');
+      }
+
+      const { transaction } = await user.updateCredit(
+        leg.amount,
+        leg.direction === 'credit' ? 'deduct' : 'add',
+        reversedBy,
+        `Reversal of ${leg.type} ${leg._id}: ${reason}`.slice(0, 255),
+        {
+          session,
+          counterparty: leg.counterparty,
+          reversalOf: leg._id,
+          transactionType: 'reversal'
+        }
+      );
+
+      // Claimed conditionally, so two concurrent reversals cannot both win.
+      const claimed = await Transaction.updateOne(
+        { _id: leg._id, reversedBy: { $exists: false } },
+        { reversedBy: transaction._id, reversedAt: new Date() },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw new Error('Transaction has already been reversed');
+      }
+
+      reversals.push({ user, transaction });
+    }
+
+    if (reversals.length > 1) {
+      reversals[0].transaction.relatedTransaction = reversals[1].transaction._id;
+      reversals[1].transaction.relatedTransaction = reversals[0].transaction._id;
+      for (const { transaction } of reversals) {
+        await transaction.save({ session });
+      }
+    }
+
+    const clawback = await clawbackCommission({
+      transactionIds: legs.map(leg => leg._id),
+      description: `Commission clawback for reversed transaction ${original._id}`,
+      session
+    });
+
+    return {
+      original,
+      reversal: reversals[0].transaction,
+      member: reversals[0].user,
+      counterpartReversal: reversals[1]?.transaction,
+      counterpart: reversals[1]?.user,
+      clawback: clawback?.clawback
+    };
+  });
+};
+
+module.exports = { adjustMemberCredit, adjustAgentFloat, moveMember, reverseTransaction };
\ No newline at end of file
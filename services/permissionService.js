@@ -0,0 +1,58 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+const loadRoles = async () => {
+  if (roleCache && Date.now() - roleCacheLoadedAt < CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = await Role.find().select('name permissions').lean();
+  roleCache = {};
+  roles.forEach(role => {
+    roleCache[role.name] = role.permissions;
+  });
+  roleCacheLoadedAt = Date.now();
+
+  return roleCache;
+};
+
+const invalidateRoleCache = () => {
+  roleCache = null;
+};
+
+// Built-in bundles can be tuned by storing a Role document with the same
+// name; superadmin is always unrestricted so it can never lock itself out.
+const getRolePermissions = async (roleName) => {
+  if (roleName === 'superadmin') return DEFAULT_ROLE_PERMISSIONS.superadmin;
+
+  const roles = await loadRoles();
+  return roles[roleName] || DEFAULT_ROLE_PERMISSIONS[roleName] || [];
+};
+
+const getEffectivePermissions = async (user) => {
+  const roleName = user.role === 'staff' ? user.staffRole : user.role;
+  const permissions = new Set(await getRolePermissions(roleName));
+
+  const overrides = user.permissionOverrides || {};
+  (overrides.grant || []).forEach(p => permissions.add(p));
+  (overrides.revoke || []).forEach(p => permissions.delete(p));
+
+  return permissions;
+};
+
+const can = (permissions, permission) => !!permissions && (permissions.has('*') || permissions.has(permission));
+
+const isValidPermission = (permission) => PERMISSIONS.includes(permission);
+
+module.exports = {
+  getRolePermissions,
+  getEffectivePermissions,
+  invalidateRoleCache,
+  can,
+  isValidPermission
+};
\ No newline at end of file
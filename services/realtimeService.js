@@ -0,0 +1,215 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const CommissionEntry = require('../models/CommissionEntry');
+const AgentStats = require('../models/AgentStats');
+const { can } = require('./permissionService');
+const { getAncestorIds } = require('./hierarchyService');
+const { fromMinor } = require('../utils/money');
+
+const RESTART_DELAY_MS = 5000;
+const AUDIENCE_TTL_MS = 30 * 1000;
+const AUDIENCE_CACHE_LIMIT = 10000;
+
+const subscribers = new Set();
+
+// Who may see events about an account: the account itself and every agent
+// above it. Bets produce an entry per spin, so the lookup is cached briefly;
+// a moved member reaches their new agent's dashboard within the TTL.
+const audienceCache = new Map();
+
+const describeUser = async (userId) => {
+  const key = userId.toString();
+  const cached = audienceCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  const [user, ancestors] = await Promise.all([
+    User.findById(userId).select('username role').lean(),
+    getAncestorIds(userId)
+  ]);
+
+  if (audienceCache.size >= AUDIENCE_CACHE_LIMIT) {
+    const now = Date.now();
+    for (const [id, entry] of audienceCache) {
+      if (entry.expiresAt <= now) audienceCache.delete(id);
+    }
+    if (audienceCache.size >= AUDIENCE_CACHE_LIMIT) audienceCache.clear();
+  }
+
+  const entry = {
+    username: user?.username,
+    role: user?.role,
+    audience: [key, ...ancestors],
+    expiresAt: Date.now() + AUDIENCE_TTL_MS
+  };
+  audienceCache.set(key, entry);
+  return entry;
+};
+
+const publish = async ({ event, permission, subject, data }) => {
+  const interested = [...subscribers].filter(s => can(s.permissions, permission));
+  if (interested.length === 0) return;
+
+  const { username, role, audience } = await describeUser(subject);
+  const payload = { ...data, username, role };
+
+  for (const subscriber of interested) {
+    if (subscriber.global || audience.includes(subscriber.userId)) {
+      subscriber.send(event, payload);
+    }
+  }
+};
+
+// Change events carry the stored documents, so money held in minor units is
+// converted here.
+const WATCHES = [
+  {
+    model: Transaction,
+    pipeline: [{ $match: { operationType: 'insert' } }],
+    handle: (tx) => publish({
+      event: 'credit.changed',
+      permission: 'member.view',
+      subject: tx.user,
+      data: {
+        user: tx.user,
+        transaction: tx._id,
+        type: tx.type,
+        direction: tx.direction,
+        amount: fromMinor(tx.amount),
+        oldCredit: fromMinor(tx.oldCredit),
+        newCredit: fromMinor(tx.newCredit),
+        provider: tx.provider,
+        createdAt: tx.createdAt
+      }
+    })
+  },
+  {
+    model: User,
+    pipeline: [
+      { $match: { operationType: 'insert', 'fullDocument.role': 'member' } },
+      { $project: { 'fullDocument.password': 0 } }
+    ],
+    handle: (member) => publish({
+      event: 'member.created',
+      permission: 'member.view',
+      subject: member._id,
+      data: {
+        id: member._id,
+        parent: member.parent,
+        credit: fromMinor(member.credit),
+        status: member.status,
+        createdAt: member.createdAt
+      }
+    })
+  },
+  {
+    model: CommissionEntry,
+    pipeline: [{ $match: { operationType: 'insert' } }],
+    handle: (entry) => publish({
+      event: 'commission.accrued',
+      permission: 'agent.stats.view',
+      subject: entry.agent,
+      data: {
+        agent: entry.agent,
+        member: entry.member,
+        kind: entry.kind,
+        transactionType: entry.transactionType,
+        sourceTransaction: entry.sourceTransaction,
+        baseAmount: fromMinor(entry.baseAmount),
+        rate: entry.rate,
+        amount: fromMinor(entry.amount),
+        createdAt: entry.createdAt
+      }
+    })
+  },
+  {
+    model: AgentStats,
+    pipeline: [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+    fullDocument: 'updateLookup',
+    handle: (stats) => publish({
+      event: 'agent.stats',
+      permission: 'agent.stats.view',
+      subject: stats.agent,
+      data: {
+        agent: stats.agent,
+        totalMembers: stats.totalMembers,
+        activeMembers: stats.activeMembers,
+        totalCredit: fromMinor(stats.totalCredit),
+        totalCommission: fromMinor(stats.totalCommission),
+        commissionRate: stats.commissionRate,
+        lastUpdated: stats.lastUpdated
+      }
+    })
+  }
+];
+
+// Change streams only report committed writes, so a transaction that is
+// retried or aborted never reaches a dashboard. Events of one collection are
+// published in order; a failed stream resumes where it stopped.
+const openStream = (watch) => {
+  const options = {};
+  if (watch.fullDocument) options.fullDocument = watch.fullDocument;
+  if (watch.resumeToken) options.resumeAfter = watch.resumeToken;
+
+  const stream = watch.model.watch(watch.pipeline, options);
+  watch.stream = stream;
+  watch.queue = Promise.resolve();
+
+  stream.on('change', (change) => {
+    watch.resumeToken = change._id;
+    if (!change.fullDocument) return;
+
+    watch.queue = watch.queue
+      .then(() => watch.handle(change.fullDocument))
+      .catch(err => console.error(`Realtime ${watch.model.modelName} event error:`, err));
+  });
+
+  stream.on('error', (err) => {
+    console.error(`⚠️ Realtime ${watch.model.modelName} stream failed, reopening:`, err.message);
+    watch.stream = null;
+    stream.close().catch(() => {});
+
+    watch.timer = setTimeout(() => {
+      watch.timer = null;
+      if (subscribers.size > 0 && !watch.stream) openStream(watch);
+    }, RESTART_DELAY_MS);
+  });
+};
+
+const start = () => {
+  WATCHES.forEach(watch => {
+    if (!watch.stream && !watch.timer) openStream(watch);
+  });
+};
+
+const stop = () => {
+  WATCHES.forEach(watch => {
+    clearTimeout(watch.timer);
+    watch.timer = null;
+    watch.resumeToken = null;
+    if (watch.stream) {
+      watch.stream.close().catch(() => {});
+      watch.stream = null;
+    }
+  });
+  audienceCache.clear();
+};
+
+// `subscriber` is { userId, permissions, global, send(event, data) }. The
+// streams run only while someone is listening.
+const subscribe = (subscriber) => {
+  subscribers.add(subscriber);
+  if (subscribers.size === 1) start();
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) stop();
+  };
+};
+
+const countSubscriptions = (userId) =>
+  [...subscribers].filter(s => s.userId === userId.toString()).length;
+
+module.exports = {
+  subscribe,
+  countSubscriptions
+};
\ No newline at end of file
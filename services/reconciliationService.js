@@ -0,0 +1,214 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const LedgerDiscrepancy = require('../models/LedgerDiscrepancy');
+const runInTransaction = require('../utils/runInTransaction');
+const { toMinor, fromMinor, subtractMoney } = require('../utils/money');
+
+const MAX_SAMPLES = 20;
+const MAX_ATTEMPTS = 3;
+
+const acceptedThrough = async (userId, session) => {
+  const latest = await LedgerDiscrepancy.findOne({ user: userId, acceptedThrough: { $exists: true } })
+    .sort({ acceptedThrough: -1 })
+    .select('acceptedThrough')
+    .session(session || null)
+    .lean();
+  return latest?.acceptedThrough || null;
+};
+
+// Replays one account's ledger from a zero balance. The running total is the
+// balance the ledger supports; the chain and amount checks locate where the
+// recorded balances stop adding up. Entries accepted by an earlier resolution
+// are still summed, but not checked again. The entries are read lean, so the
+// replay works in minor units throughout.
+const replayLedger = async (userId, { session } = {}) => {
+  const checkpoint = await acceptedThrough(userId, session);
+
+  const cursor = Transaction.find({ user: userId })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('amount direction oldCredit newCredit createdAt')
+    .session(session || null)
+    .lean()
+    .allowDiskUse(true)
+    .cursor();
+
+  const result = {
+    ledgerCents: 0,
+    lastRecordedBalance: 0,
+    transactionCount: 0,
+    chainBreaks: 0,
+    chainBreakSamples: [],
+    amountMismatches: 0,
+    amountMismatchSamples: []
+  };
+
+  let previous = 0;
+  for await (const tx of cursor) {
+    const signed = tx.direction === 'credit' ? tx.amount : -tx.amount;
+    result.ledgerCents += signed;
+    result.transactionCount++;
+
+    if (!checkpoint || tx.createdAt > checkpoint) {
+      if (tx.oldCredit !== previous) {
+        result.chainBreaks++;
+        if (result.chainBreakSamples.length < MAX_SAMPLES) {
+          result.chainBreakSamples.push({ transaction: tx._id, createdAt: tx.createdAt, expected: fromMinor(previous), recorded: fromMinor(tx.oldCredit) });
+        }
+      }
+      if (tx.newCredit - tx.oldCredit !== signed) {
+        result.amountMismatches++;
+        if (result.amountMismatchSamples.length < MAX_SAMPLES) {
+          result.amountMismatchSamples.push({ transaction: tx._id, createdAt: tx.createdAt, expected: fromMinor(tx.oldCredit + signed), recorded: fromMinor(tx.newCredit) });
+        }
+      }
+    }
+
+    previous = tx.newCredit;
+  }
+
+  result.ledgerBalance = fromMinor(result.ledgerCents);
+  result.lastRecordedBalance = fromMinor(previous);
+  return result;
+};
+
+const findings = (storedBalance, replay) => {
+  const kinds = [];
+  if (toMinor(storedBalance) !== replay.ledgerCents) kinds.push('balance');
+  if (replay.chainBreaks > 0) kinds.push('chain');
+  if (replay.amountMismatches > 0) kinds.push('amount');
+  return kinds;
+};
+
+// A balance that changes while its ledger is being replayed would look like
+// drift, so the replay is repeated until the account's version holds still.
+const checkUser = async (userId) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const before = await User.findById(userId).select('credit __v').lean();
+    if (!before) return null;
+
+    const replay = await replayLedger(userId);
+
+    const after = await User.findById(userId).select('__v').lean();
+    if (after && after.__v === before.__v) {
+      const storedBalance = fromMinor(before.credit);
+      return { storedBalance, replay, kinds: findings(storedBalance, replay) };
+    }
+  }
+
+  console.warn(`⚠️ Skipping reconciliation of ${userId}: balance kept changing`);
+  return null;
+};
+
+const reconcileLedger = async (run) => {
+  const stats = { users: 0, skipped: 0, discrepancies: 0, opened: 0, cleared: 0 };
+  const now = new Date();
+
+  const users = User.find().select('_id').sort({ _id: 1 }).lean().cursor();
+  for await (const { _id } of users) {
+    const checked = await checkUser(_id);
+    if (!checked) {
+      stats.skipped++;
+      continue;
+    }
+    stats.users++;
+
+    const { storedBalance, replay, kinds } = checked;
+
+    if (kinds.length === 0) {
+      const cleared = await LedgerDiscrepancy.updateOne(
+        { user: _id, status: 'open' },
+        { status: 'cleared', clearedAt: now, lastRun: run?._id }
+      );
+      stats.cleared += cleared.modifiedCount;
+      continue;
+    }
+
+    stats.discrepancies++;
+    const result = await LedgerDiscrepancy.updateOne(
+      { user: _id, status: 'open' },
+      {
+        $set: {
+          kinds,
+          storedBalance,
+          ledgerBalance: replay.ledgerBalance,
+          lastRecordedBalance: replay.lastRecordedBalance,
+          difference: subtractMoney(storedBalance, replay.ledgerBalance),
+          transactionCount: replay.transactionCount,
+          chainBreaks: replay.chainBreaks,
+          chainBreakSamples: replay.chainBreakSamples,
+          amountMismatches: replay.amountMismatches,
+          amountMismatchSamples: replay.amountMismatchSamples,
+          lastSeenAt: now,
+          lastRun: run?._id
+        },
+        $setOnInsert: { detectedAt: now }
+      },
+      { upsert: true }
+    );
+    stats.opened += result.upsertedCount;
+  }
+
+  if (stats.opened > 0) {
+    console.warn(`⚠️ Ledger reconciliation opened ${stats.opened} new discrepancy report(s)`);
+  }
+  return stats;
+};
+
+// Resolves a discrepancy by accepting the stored balance: an adjustment entry
+// carries the ledger from the balance it supports to the stored one, without
+// touching `credit` itself. A wrong stored balance is then corrected with a
+// normal adjustment or reversal, which the ledger records as usual.
+const resolveDiscrepancy = async ({ discrepancyId, resolvedBy, note }) => {
+  return runInTransaction(async (session) => {
+    const discrepancy = await LedgerDiscrepancy.findById(discrepancyId).session(session);
+    if (!discrepancy) {
+      throw new Error('Discrepancy not found');
+    }
+    if (discrepancy.status !== 'open') {
+      throw new Error(`Discrepancy is already ${discrepancy.status}`);
+    }
+
+    const user = await User.findById(discrepancy.user).session(session);
+    if (!user) {
+      throw new Error('Account for this discrepancy no longer exists');
+    }
+
+    const replay = await replayLedger(user._id, { session });
+    const difference = toMinor(user.credit) - replay.ledgerCents;
+
+    let adjustment = null;
+    if (difference !== 0) {
+      [adjustment] = await Transaction.create([{
+        user: user._id,
+        amount: fromMinor(Math.abs(difference)),
+        type: 'adjustment',
+        direction: difference > 0 ? 'credit' : 'debit',
+        oldCredit: replay.ledgerBalance,
+        newCredit: user.credit,
+        adjustedBy: resolvedBy,
+        description: `Reconciliation adjustment: ${note}`.slice(0, 255)
+      }], { session });
+    }
+
+    // Bumping the version makes a concurrent balance change conflict with
+    // this resolution instead of slipping in between the replay and the entry.
+    user.increment();
+    await user.save({ session });
+
+    discrepancy.status = 'resolved';
+    discrepancy.resolvedBy = resolvedBy;
+    discrepancy.resolvedAt = new Date();
+    discrepancy.resolutionNote = note;
+    discrepancy.adjustmentTransaction = adjustment?._id;
+    discrepancy.acceptedThrough = adjustment ? adjustment.createdAt : discrepancy.resolvedAt;
+    await discrepancy.save({ session });
+
+    return { discrepancy, adjustment, user };
+  });
+};
+
+module.exports = {
+  replayLedger,
+  reconcileLedger,
+  resolveDiscrepancy
+};
\ No newline at end of file
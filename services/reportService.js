@@ -1,108 +1,305 @@
 const DailyReport = require('../models/DailyReport');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
-const AgentStats = require('../models/AgentStats');
-const { calculateCommission } = require('./commissionService');
-const cron = require('node-cron');
-const mongoose = require('mongoose');
+const { getCommissionByAgent } = require('./commissionService');
+const { AGENT_ROLES } = require('./hierarchyService');
+const { GAME_TRANSACTION_TYPES } = require('../config/transactionTypes');
+const { fromMinor, addMoney } = require('../utils/money');
+const {
+  BUSINESS_TIMEZONE,
+  toDateKey,
+  fromDateKey,
+  addDays,
+  addMonths,
+  isoWeekday,
+  dayRange,
+  keyToUTC
+} = require('../utils/businessTime');
 
-cron.schedule('0 0 * * *', async () => {
-  try {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    console.log(`📊 Generating daily report for ${yesterday.toDateString()}`);
-    
-    const transactions = await Transaction.find({
-      createdAt: { $gte: yesterday, $lt: today }
-    });
-    
-    const agents = await User.find({ role: 'agent' });
-    
-    const totalCreditMovement = transactions.reduce((sum, t) => sum + t.amount, 0);
-    
-    const agentReports = [];
-    for (const agent of agents) {
-      const memberIds = await User.find({ parent: agent._id, role: 'member' }).distinct('_id');
-      
-      const memberTransactions = transactions.filter(t => memberIds.includes(t.user.toString()));
-      
-      const creditMovement = memberTransactions.reduce((sum, t) => sum + t.amount, 0);
-      
-      const commission = creditMovement * 0.01;
-      
-      agentReports.push({
-        agent: agent._id,
-        members: memberIds.length,
-        creditMovement,
-        commission
-      });
-      
-      await AgentStats.findOneAndUpdate(
-        { agent: agent._id },
-        { 
-          $inc: { totalCommission: commission },
-          $set: { lastUpdated: new Date() }
-        },
-        { upsert: true, new: true }
-      );
+const CATCH_UP_DAYS = parseInt(process.env.REPORT_CATCHUP_DAYS, 10) || 7;
+
+// Members whose last balance before `end` was positive. Derived from the
+// ledger rather than the live `credit` field so a backfilled day reports the
+// balances it actually had. This reads the whole ledger, so it only seeds the
+// count for a day with no report the day before; later days carry the count
+// forward (see generateDailyReport).
+const countActiveMembersAt = async (end) => {
+  const [result] = await Transaction.aggregate([
+    { $match: { createdAt: { $lt: end } } },
+    { $sort: { user: 1, createdAt: -1 } },
+    { $group: { _id: '$user', credit: { $first: '$newCredit' } } },
+    { $match: { credit: { $gt: 0 } } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $match: { 'user.role': 'member' } },
+    { $count: 'active' }
+  ]).hint({ user: 1, createdAt: -1 }).allowDiskUse(true);
+
+  return result?.active || 0;
+};
+
+const isFunding = { $not: [{ $in: ['$type', GAME_TRANSACTION_TYPES] }] };
+
+const isPositive = (path) => ({ $cond: [{ $gt: [path, 0] }, 1, 0] });
+
+// Per-user totals for the day are grouped first, so the user lookup runs once
+// per active account instead of once per transaction, and then rolled up to
+// the member's parent. Only member accounts count: agent float legs mirror
+// member top-ups and deductions and would otherwise be counted twice.
+// Credit added and deducted cover funding only; game play still counts as
+// activity but is not credit an agent moved.
+// `fundedDelta` is how many more members held credit at the end of the day
+// than at its start, taken from each member's first and last entry.
+const aggregateMemberMovement = (start, end) => Transaction.aggregate([
+  { $match: { createdAt: { $gte: start, $lt: end } } },
+  { $sort: { createdAt: 1, _id: 1 } },
+  {
+    $group: {
+      _id: '$user',
+      added: { $sum: { $cond: [{ $and: [isFunding, { $eq: ['$direction', 'credit'] }] }, '$amount', 0] } },
+      deducted: { $sum: { $cond: [{ $and: [isFunding, { $eq: ['$direction', 'debit'] }] }, '$amount', 0] } },
+      transactions: { $sum: 1 },
+      openingCredit: { $first: '$oldCredit' },
+      closingCredit: { $last: '$newCredit' }
     }
-    
-    const totalMembers = await User.countDocuments({ role: 'member' });
-    const activeMembers = await User.countDocuments({ role: 'member', credit: { $gt: 0 } });
-    const totalCommission = agentReports.reduce((sum, r) => sum + r.commission, 0);
-    
-    const report = await DailyReport.findOneAndUpdate(
-      { date: yesterday },
-      {
-        totalMembers,
-        activeMembers,
-        totalCreditMovement,
-        totalCommission,
-        agentReports,
-        systemNotes: `Auto-generated report by system at ${new Date().toISOString()}`
-      },
-      { upsert: true, new: true, setDefaultsOnInsert: true }
-    );
-    
-    console.log('✅ Daily report generated successfully');
-    return report;
-  } catch (err) {
-    console.error('❌ Daily report generation failed:', err);
-    throw err;
+  },
+  {
+    $lookup: {
+      from: 'users',
+      localField: '_id',
+      foreignField: '_id',
+      pipeline: [{ $project: { role: 1, parent: 1 } }],
+      as: 'user'
+    }
+  },
+  { $unwind: '$user' },
+  { $match: { 'user.role': 'member' } },
+  {
+    $group: {
+      _id: { $ifNull: ['$user.parent', null] },
+      added: { $sum: '$added' },
+      deducted: { $sum: '$deducted' },
+      transactions: { $sum: '$transactions' },
+      activeMembers: { $sum: 1 },
+      fundedDelta: { $sum: { $subtract: [isPositive('$closingCredit'), isPositive('$openingCredit')] } }
+    }
+  }
+]).allowDiskUse(true);
+
+const previousActiveMembers = async (key) => {
+  const previous = await DailyReport.findOne({ date: fromDateKey(addDays(key, -1)) })
+    .select('activeMembers')
+    .lean();
+  return previous ? previous.activeMembers : null;
+};
+
+const aggregateMemberCounts = (end) => User.aggregate([
+  { $match: { role: 'member', createdAt: { $lt: end } } },
+  { $group: { _id: { $ifNull: ['$parent', null] }, members: { $sum: 1 } } }
+]).allowDiskUse(true);
+
+// Builds (or rebuilds) the report for one business day. Everything is derived
+// from data timestamped before the end of that day, so running it again for
+// the same day gives the same document.
+const generateDailyReport = async (day) => {
+  const key = toDateKey(day);
+  if (key >= toDateKey(new Date())) {
+    throw new Error(`Reports can only be generated for completed days (${key})`);
   }
-});
 
-const generateReport = async (startDate, endDate) => {
+  const { start, end } = dayRange(key);
+
+  console.log(`📊 Generating daily report for ${key} (${BUSINESS_TIMEZONE})`);
+
+  const [movement, memberCounts, agents, commissionByAgent, activeBefore] = await Promise.all([
+    aggregateMemberMovement(start, end),
+    aggregateMemberCounts(end),
+    User.find({ role: { $in: AGENT_ROLES }, createdAt: { $lt: end } }).select('_id').sort({ _id: 1 }).lean(),
+    getCommissionByAgent(start, end),
+    previousActiveMembers(key)
+  ]);
+
+  // The ledger sums come back in minor units.
+  const movementByParent = {};
+  movement.forEach(row => {
+    row.added = fromMinor(row.added);
+    row.deducted = fromMinor(row.deducted);
+    movementByParent[String(row._id)] = row;
+  });
+  const membersByParent = {};
+  memberCounts.forEach(row => {
+    membersByParent[String(row._id)] = row.members;
+  });
+
+  const agentReports = agents.map(agent => {
+    const id = agent._id.toString();
+    const moved = movementByParent[id] || {};
+    return {
+      agent: agent._id,
+      members: membersByParent[id] || 0,
+      activeMembers: moved.activeMembers || 0,
+      transactions: moved.transactions || 0,
+      creditAdded: moved.added || 0,
+      creditDeducted: moved.deducted || 0,
+      creditMovement: addMoney(moved.added || 0, moved.deducted || 0),
+      commission: commissionByAgent[id]?.commission || 0
+    };
+  });
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+  const sumMoney = (rows, field) => addMoney(...rows.map(row => row[field] || 0));
+
+  // Only members with entries today can have gone from no credit to some or
+  // back, so yesterday's count plus today's changes covers everyone.
+  const activeMembers = activeBefore === null
+    ? await countActiveMembersAt(end)
+    : activeBefore + sum(movement, 'fundedDelta');
+  const totalCreditAdded = sumMoney(movement, 'added');
+  const totalCreditDeducted = sumMoney(movement, 'deducted');
+
+  const report = await DailyReport.findOneAndUpdate(
+    { date: start },
+    {
+      day: key,
+      timezone: BUSINESS_TIMEZONE,
+      totalMembers: sum(memberCounts, 'members'),
+      activeMembers,
+      totalTransactions: sum(movement, 'transactions'),
+      totalCreditAdded,
+      totalCreditDeducted,
+      totalCreditMovement: addMoney(totalCreditAdded, totalCreditDeducted),
+      totalCommission: sumMoney(agentReports, 'commission'),
+      agentReports,
+      systemNotes: `Generated from ledger data for ${key} (${BUSINESS_TIMEZONE})`
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`✅ Daily report for ${key} generated successfully`);
+  return report;
+};
+
+// Checked before a backfill is queued as well, so a bad range is refused up
+// front instead of failing the run.
+const resolveBackfillRange = ({ from, to }) => {
+  const fromKey = toDateKey(from);
+  const toKey = toDateKey(to);
+
+  if (fromKey > toKey) {
+    throw new Error('Backfill start must not be after its end');
+  }
+  if (toKey >= toDateKey(new Date())) {
+    throw new Error('Reports can only be generated for completed days');
+  }
+
+  return { fromKey, toKey };
+};
+
+// Regenerates every day in [from, to]. With `missingOnly` days that already
+// have a report are left alone, which is how gaps from missed runs are filled.
+const backfillReports = async ({ from, to, missingOnly = false }) => {
+  const { fromKey, toKey } = resolveBackfillRange({ from, to });
+
+  const existing = new Set();
+  if (missingOnly) {
+    const reports = await DailyReport.find({
+      date: { $gte: fromDateKey(fromKey), $lt: fromDateKey(addDays(toKey, 1)) }
+    }).select('date').lean();
+    reports.forEach(r => existing.add(toDateKey(r.date)));
+  }
+
+  const generated = [];
+  const skipped = [];
+
+  for (let key = fromKey; key <= toKey; key = addDays(key, 1)) {
+    if (existing.has(key)) {
+      skipped.push(key);
+      continue;
+    }
+    await generateDailyReport(key);
+    generated.push(key);
+  }
+
+  return { from: fromKey, to: toKey, generated, skipped };
+};
+
+// Fills any day of the last CATCH_UP_DAYS that has no report yet, so a night
+// the server was down is picked up by the next run.
+const catchUpReports = async () => {
+  const today = toDateKey(new Date());
+  return backfillReports({
+    from: addDays(today, -CATCH_UP_DAYS),
+    to: addDays(today, -1),
+    missingOnly: true
+  });
+};
+
+// ISO-8601 weeks start on Monday and week 1 is the week containing January 4th,
+// so the first days of January can belong to the previous year's last week.
+const isoWeekStart = (year, weekNumber) => {
+  const jan4 = `${year}-01-04`;
+  return addDays(jan4, -isoWeekday(jan4) + (weekNumber - 1) * 7);
+};
+
+const getIsoWeek = (value) => {
+  const key = toDateKey(value);
+  const thursday = addDays(key, 3 - isoWeekday(key));
+  const year = Number(thursday.slice(0, 4));
+  const week = Math.floor((keyToUTC(thursday) - keyToUTC(isoWeekStart(year, 1))) / (7 * 24 * 60 * 60 * 1000)) + 1;
+  return { year, week };
+};
+
+// December 28th always falls in the last ISO week of its year.
+const isoWeeksInYear = (year) => getIsoWeek(`${year}-12-28`).week;
+
+const loadAgentNames = async (agentId) => {
+  const filter = agentId ? { _id: agentId } : { role: { $in: AGENT_ROLES } };
+  const agents = await User.find(filter, 'username');
+  const agentMap = {};
+  agents.forEach(agent => {
+    agentMap[agent._id.toString()] = agent.username;
+  });
+  return agentMap;
+};
+
+// With `agentId` set only that agent's slice of each report is returned, so
+// agents never see system-wide totals or other agents' figures.
+const generateReport = async (startDate, endDate, { agentId } = {}) => {
   try {
-    const start = new Date(startDate);
-    start.setHours(0, 0, 0, 0);
-    
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999);
-    
     const reports = await DailyReport.find({
-      date: { $gte: start, $lte: end }
+      date: { $gte: fromDateKey(toDateKey(startDate)), $lt: fromDateKey(addDays(toDateKey(endDate), 1)) }
     }).sort({ date: 1 });
     
-    const agents = await User.find({ role: 'agent' }, 'username');
-    const agentMap = {};
-    agents.forEach(agent => {
-      agentMap[agent._id.toString()] = agent.username;
-    });
+    const agentMap = await loadAgentNames(agentId);
     
     const formattedReports = reports.map(report => {
-      const agentReports = report.agentReports.map(ar => ({
-        ...ar,
-        agentName: agentMap[ar.agent.toString()] || 'Unknown Agent'
-      }));
+      const agentReports = report.agentReports
+        .filter(ar => !agentId || ar.agent.toString() === agentId.toString())
+        .map(ar => ({
+          ...ar.toObject(),
+          agentName: agentMap[ar.agent.toString()] || 'Unknown Agent'
+        }));
+      
+      if (agentId) {
+        const slice = agentReports[0];
+        return {
+          date: report.date,
+          day: toDateKey(report.date),
+          formattedDate: report.formattedDate,
+          agent: agentId.toString(),
+          agentName: agentMap[agentId.toString()] || 'Unknown Agent',
+          members: slice?.members || 0,
+          activeMembers: slice?.activeMembers || 0,
+          transactions: slice?.transactions || 0,
+          creditAdded: slice?.creditAdded || 0,
+          creditDeducted: slice?.creditDeducted || 0,
+          creditMovement: slice?.creditMovement || 0,
+          commission: slice?.commission || 0
+        };
+      }
       
       return {
         ...report.toObject(),
+        day: toDateKey(report.date),
         formattedDate: report.formattedDate,
         agentReports
       };
@@ -115,52 +312,97 @@ const generateReport = async (startDate, endDate) => {
   }
 };
 
-const generateWeeklySummary = async (year, weekNumber) => {
+// Summarises the daily reports of [startDate, endDate] (both inclusive days).
+const generatePeriodSummary = async (startDate, endDate, { agentId } = {}) => {
+  const start = toDateKey(startDate);
+  const end = toDateKey(endDate);
+  const reports = await generateReport(start, end, { agentId });
+  
+  const period = {
+    startDate: start,
+    endDate: end,
+    totalReports: reports.length
+  };
+  
+  if (reports.length === 0) {
+    return { ...period, summary: null };
+  }
+  
+  const sum = (field) => reports.reduce((total, r) => total + (r[field] || 0), 0);
+  const sumMoney = (field) => addMoney(...reports.map(r => r[field] || 0));
+  
+  if (agentId) {
+    return {
+      ...period,
+      agent: agentId.toString(),
+      summary: {
+        totalCreditMovement: sumMoney('creditMovement'),
+        totalCreditAdded: sumMoney('creditAdded'),
+        totalCreditDeducted: sumMoney('creditDeducted'),
+        totalCommission: sumMoney('commission'),
+        avgMembers: Math.round(sum('members') / reports.length),
+        dailyReports: reports.map(r => ({
+          date: r.day,
+          creditMovement: r.creditMovement,
+          creditAdded: r.creditAdded,
+          creditDeducted: r.creditDeducted,
+          commission: r.commission,
+          members: r.members
+        }))
+      }
+    };
+  }
+  
+  const agentTotals = {};
+  reports.forEach(r => {
+    r.agentReports.forEach(ar => {
+      const key = ar.agent.toString();
+      if (!agentTotals[key]) {
+        agentTotals[key] = { agent: key, agentName: ar.agentName, creditMovement: 0, creditAdded: 0, creditDeducted: 0, commission: 0 };
+      }
+      const totals = agentTotals[key];
+      totals.creditMovement = addMoney(totals.creditMovement, ar.creditMovement);
+      totals.creditAdded = addMoney(totals.creditAdded, ar.creditAdded || 0);
+      totals.creditDeducted = addMoney(totals.creditDeducted, ar.creditDeducted || 0);
+      totals.commission = addMoney(totals.commission, ar.commission);
+    });
+  });
+  
+  return {
+    ...period,
+    summary: {
+      totalCreditMovement: sumMoney('totalCreditMovement'),
+      totalCreditAdded: sumMoney('totalCreditAdded'),
+      totalCreditDeducted: sumMoney('totalCreditDeducted'),
+      totalCommission: sumMoney('totalCommission'),
+      avgMembers: Math.round(sum('totalMembers') / reports.length),
+      avgActiveMembers: Math.round(sum('activeMembers') / reports.length),
+      agents: Object.values(agentTotals),
+      dailyReports: reports.map(r => ({
+        date: r.day,
+        totalCreditMovement: r.totalCreditMovement,
+        totalCreditAdded: r.totalCreditAdded,
+        totalCreditDeducted: r.totalCreditDeducted,
+        totalCommission: r.totalCommission,
+        totalMembers: r.totalMembers
+      }))
+    }
+  };
+};
+
+const generateWeeklySummary = async (year, weekNumber, options = {}) => {
   try {
-    const firstDay = new Date(year, 0, 1 + (weekNumber - 1) * 7);
-    firstDay.setDate(firstDay.getDate() - firstDay.getDay() + 1);
-    
-    const lastDay = new Date(firstDay);
-    lastDay.setDate(lastDay.getDate() + 6);
-    
-    const reports = await DailyReport.find({
-      date: { $gte: firstDay, $lte: lastDay }
-    }).sort({ date: 1 });
-    
-    if (reports.length === 0) {
-      return {
-        weekNumber,
-        year,
-        startDate: firstDay.toISOString().split('T')[0],
-        endDate: lastDay.toISOString().split('T')[0],
-        totalReports: 0,
-        summary: null
-      };
+    if (weekNumber < 1 || weekNumber > isoWeeksInYear(year)) {
+      throw new Error(`Week number must be between 1 and ${isoWeeksInYear(year)} for ${year}`);
     }
     
-    const totalCreditMovement = reports.reduce((sum, r) => sum + r.totalCreditMovement, 0);
-    const totalCommission = reports.reduce((sum, r) => sum + r.totalCommission, 0);
-    const avgMembers = reports.reduce((sum, r) => sum + r.totalMembers, 0) / reports.length;
-    const avgActiveMembers = reports.reduce((sum, r) => sum + r.activeMembers, 0) / reports.length;
+    const firstDay = isoWeekStart(year, weekNumber);
+    const lastDay = addDays(firstDay, 6);
     
     return {
       weekNumber,
       year,
-      startDate: firstDay.toISOString().split('T')[0],
-      endDate: lastDay.toISOString().split('T')[0],
-      totalReports: reports.length,
-      summary: {
-        totalCreditMovement: Math.round(totalCreditMovement * 100) / 100,
-        totalCommission: Math.round(totalCommission * 100) / 100,
-        avgMembers: Math.round(avgMembers),
-        avgActiveMembers: Math.round(avgActiveMembers),
-        dailyReports: reports.map(r => ({
-          date: r.date.toISOString().split('T')[0],
-          totalCreditMovement: r.totalCreditMovement,
-          totalCommission: r.totalCommission,
-          totalMembers: r.totalMembers
-        }))
-      }
+      ...await generatePeriodSummary(firstDay, lastDay, options)
     };
   } catch (err) {
     console.error('Error generating weekly summary:', err);
@@ -168,7 +410,32 @@ const generateWeeklySummary = async (year, weekNumber) => {
   }
 };
 
+const generateMonthlySummary = async (year, month, options = {}) => {
+  try {
+    const firstDay = `${year}-${String(month).padStart(2, '0')}-01`;
+    const lastDay = addDays(addMonths(firstDay, 1), -1);
+    
+    return {
+      month,
+      year,
+      ...await generatePeriodSummary(firstDay, lastDay, options)
+    };
+  } catch (err) {
+    console.error('Error generating monthly summary:', err);
+    throw err;
+  }
+};
+
 module.exports = {
+  generateDailyReport,
+  resolveBackfillRange,
+  backfillReports,
+  catchUpReports,
   generateReport,
-  generateWeeklySummary
+  generatePeriodSummary,
+  generateWeeklySummary,
+  generateMonthlySummary,
+  getIsoWeek,
+  isoWeekStart,
+  isoWeeksInYear
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+// directly; only a hash of the secret part is stored.
+const newRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, role: user.role, username: user.username, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).populate('user', 'username role status');
+  if (!session || !session.isActive || !session.user || session.user.status !== 'active') {
+    throw new Error('Invalid refresh token');
+  }
+
+  if (session.refreshTokenHash !== hashToken(secret)) {
+    // An already-rotated token was presented again: assume it was stolen and
+    // kill the session so neither party can keep using it.
+    session.revokedAt = new Date();
+    session.revokedReason = 'token_reuse';
+    await session.save();
+    throw new Error('Invalid refresh token');
+  }
+
+  const nextSecret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: { $exists: false } },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      lastUsedAt: new Date(),
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw new Error('Invalid refresh token');
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    refreshTokenExpiresAt: rotated.expiresAt,
+    sessionId: session._id,
+    user: session.user
+  };
+};
+
+const isSessionActive = async (sessionId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return !!session && session.isActive;
+};
+
+const revokeSession = async (sessionId, { reason = 'logout', revokedBy } = {}) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+  return result.modifiedCount > 0;
+};
+
+const revokeUserSessions = async (userId, { reason = 'logout_all', revokedBy, exceptSession } = {}) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSession) filter._id = { $ne: exceptSession };
+
+  const result = await Session.updateMany(
+    filter,
+    { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  );
+  return result.modifiedCount;
+};
+
+const listActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).select('-refreshTokenHash -__v').sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+};
\ No newline at end of file
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AgentStats = require('../models/AgentStats');
+const CommissionEntry = require('../models/CommissionEntry');
+const CommissionStatement = require('../models/CommissionStatement');
+const { periodStart } = require('./commissionService');
+const runInTransaction = require('../utils/runInTransaction');
+const {
+  BUSINESS_TIMEZONE,
+  isDateKey,
+  toDateKey,
+  fromDateKey,
+  addDays,
+  addMonths
+} = require('../utils/businessTime');
+const { formatAmount, fromMinor, addMoney } = require('../utils/money');
+
+const shiftPeriod = (start, periodType, count) => {
+  const key = toDateKey(start);
+  return fromDateKey(periodType === 'week' ? addDays(key, 7 * count) : addMonths(key, count));
+};
+
+const parseDate = (value) => (isDateKey(value) ? fromDateKey(value) : new Date(value));
+
+// The most recent period that has fully ended before `reference`.
+const previousPeriod = (periodType, reference = new Date()) => {
+  const periodEnd = periodStart(reference, periodType);
+  return { periodStart: shiftPeriod(periodEnd, periodType, -1), periodEnd };
+};
+
+const formatDay = (date) => date.toLocaleDateString('th-TH', { timeZone: BUSINESS_TIMEZONE });
+
+const periodLabel = (statement) =>
+  `${formatDay(statement.periodStart)} - ${formatDay(new Date(statement.periodEnd - 1))}`;
+
+const settleAgent = async ({ agentId, periodType, periodStart, periodEnd }) => {
+  return runInTransaction(async (session) => {
+    const entries = await CommissionEntry.find({
+      agent: agentId,
+      status: 'pending',
+      createdAt: { $gte: periodStart, $lt: periodEnd }
+    }).session(session);
+
+    if (!entries.length) return null;
+
+    let grossAmount = 0;
+    let clawbackAmount = 0;
+    let volume = 0;
+    entries.forEach(entry => {
+      if (entry.amount < 0) {
+        clawbackAmount = addMoney(clawbackAmount, entry.amount);
+      } else {
+        grossAmount = addMoney(grossAmount, entry.amount);
+      }
+      volume = addMoney(volume, entry.baseAmount || 0);
+    });
+
+    const statement = new CommissionStatement({
+      agent: agentId,
+      periodType,
+      periodStart,
+      periodEnd,
+      entryCount: entries.length,
+      volume,
+      grossAmount,
+      clawbackAmount
+    });
+    statement.recalculateTotal();
+    await statement.save({ session });
+
+    const settled = await CommissionEntry.updateMany(
+      { _id: { $in: entries.map(e => e._id) }, status: 'pending' },
+      { status: 'settled', statement: statement._id },
+      { session }
+    );
+    if (settled.modifiedCount !== entries.length) {
+      throw new Error('Commission entries changed during settlement');
+    }
+
+    return statement;
+  });
+};
+
+// Produces one draft statement per agent for every pending entry created in
+// the period. Agents that already have a statement for the same period are
+// skipped, so a run can safely be repeated.
+const runSettlement = async ({ periodType = 'week', periodStart: start, periodEnd: end } = {}) => {
+  let bounds;
+  if (start) {
+    const from = parseDate(start);
+    bounds = { periodStart: from, periodEnd: end ? parseDate(end) : shiftPeriod(from, periodType, 1) };
+  } else {
+    bounds = previousPeriod(periodType);
+  }
+
+  if (bounds.periodEnd > new Date()) {
+    throw new Error('Settlement period has not ended yet');
+  }
+  if (bounds.periodStart >= bounds.periodEnd) {
+    throw new Error('Settlement period start must be before its end');
+  }
+
+  const agentIds = await CommissionEntry.distinct('agent', {
+    status: 'pending',
+    createdAt: { $gte: bounds.periodStart, $lt: bounds.periodEnd }
+  });
+
+  const statements = [];
+  const skipped = [];
+
+  for (const agentId of agentIds) {
+    try {
+      const statement = await settleAgent({ agentId, periodType, ...bounds });
+      if (statement) statements.push(statement);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      skipped.push(agentId);
+    }
+  }
+
+  return { ...bounds, periodType, statements, skipped };
+};
+
+const adjustStatement = async (statementId, { amount, reason, adjustedBy }) => {
+  const statement = await CommissionStatement.findById(statementId);
+  if (!statement) {
+    throw new Error('Statement not found');
+  }
+  if (statement.status === 'paid') {
+    throw new Error('Paid statements cannot be adjusted');
+  }
+
+  statement.adjustments.push({ amount, reason, adjustedBy });
+  statement.recalculateTotal();
+  // Any change to the amount has to be approved again before it can be paid.
+  statement.status = 'draft';
+  statement.approvedBy = undefined;
+  statement.approvedAt = undefined;
+
+  return statement.save();
+};
+
+const approveStatement = async (statementId, approvedBy) => {
+  const statement = await CommissionStatement.findOneAndUpdate(
+    { _id: statementId, status: 'draft' },
+    { status: 'approved', approvedBy, approvedAt: new Date() },
+    { new: true }
+  );
+
+  if (!statement) {
+    throw new Error(await CommissionStatement.exists({ _id: statementId })
+      ? 'Only draft statements can be approved'
+      : 'Statement not found');
+  }
+
+  return statement;
+};
+
+// Pays an approved statement into the agent's credit as a regular Transaction.
+// A negative total (clawbacks larger than the period's commission) is not
+// taken from the agent's balance; it is carried into their next statement.
+const payStatement = async (statementId, paidBy) => {
+  return runInTransaction(async (session) => {
+    const statement = await CommissionStatement.findOneAndUpdate(
+      { _id: statementId, status: 'approved' },
+      { status: 'paid', paidBy, paidAt: new Date() },
+      { new: true, session }
+    );
+
+    if (!statement) {
+      throw new Error(await CommissionStatement.exists({ _id: statementId }).session(session)
+        ? 'Only approved statements can be paid'
+        : 'Statement not found');
+    }
+
+    const agent = await User.findById(statement.agent).session(session);
+    if (!agent) {
+      throw new Error('Agent not found');
+    }
+
+    const label = periodLabel(statement);
+    let transaction;
+    let carryover;
+
+    if (statement.totalAmount > 0) {
+      const result = await agent.updateCredit(
+        statement.totalAmount,
+        'add',
+        paidBy,
+        `Commission payout ${label}: ${formatAmount(statement.totalAmount)}`,
+        { session, transactionType: 'commission' }
+      );
+      transaction = result.transaction;
+
+      await AgentStats.updateOne(
+        { agent: agent._id },
+        {
+          $inc: { totalCommission: statement.totalAmount },
+          $push: {
+            commissionHistory: {
+              amount: statement.totalAmount,
+              date: new Date(),
+              description: `Commission payout ${label}`
+            }
+          }
+        },
+        { session }
+      );
+    } else if (statement.totalAmount < 0) {
+      [carryover] = await CommissionEntry.create([{
+        agent: agent._id,
+        amount: statement.totalAmount,
+        kind: 'carryover',
+        description: `Unrecovered clawback carried over from ${label}`
+      }], { session });
+    }
+
+    await CommissionEntry.updateMany(
+      { statement: statement._id },
+      { status: 'paid' },
+      { session }
+    );
+
+    statement.payoutTransaction = transaction?._id;
+    statement.carryoverEntry = carryover?._id;
+    await statement.save({ session });
+
+    return { statement, transaction, carryover };
+  });
+};
+
+const getPendingCommission = async (agentId) => {
+  const [result] = await CommissionEntry.aggregate([
+    { $match: { agent: new mongoose.Types.ObjectId(agentId), status: { $in: ['pending', 'settled'] } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  return fromMinor(result?.total);
+};
+
+module.exports = {
+  previousPeriod,
+  runSettlement,
+  adjustStatement,
+  approveStatement,
+  payStatement,
+  getPendingCommission
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const { getDescendantIds } = require('./hierarchyService');
+const { dateRangeFilter } = require('./exportService');
+const { toMinor } = require('../utils/money');
+
+const SORT_FIELDS = ['createdAt', 'amount'];
+
+// Cursors are opaque to clients: the sort value and _id of the last row seen,
+// which together identify a unique position even when sort values repeat.
+const encodeCursor = (doc, sortField) => Buffer.from(JSON.stringify({
+  v: sortField === 'createdAt' ? doc.createdAt.toISOString() : doc[sortField],
+  id: doc._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id) || v === undefined || v === null) return null;
+
+    const value = sortField === 'createdAt' ? new Date(v) : Number(v);
+    if (Number.isNaN(value.valueOf())) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Resolves which account ids the caller may search. `null` means unrestricted.
+// Agents get their own subtree (and their own float ledger); an `agent` filter
+// narrows that further to one sub-agent's subtree.
+const resolveUserScope = async ({ callerId, global, agent, member }) => {
+  let scope = null;
+
+  if (!global) {
+    const ids = await getDescendantIds(callerId);
+    scope = new Set([callerId.toString(), ...ids.map(id => id.toString())]);
+  }
+
+  if (agent) {
+    if (scope && !scope.has(agent.toString())) {
+      throw new Error('Agent is outside your hierarchy');
+    }
+    const ids = await getDescendantIds(agent);
+    scope = new Set([agent.toString(), ...ids.map(id => id.toString())].filter(id => !scope || scope.has(id)));
+  }
+
+  if (member) {
+    if (scope && !scope.has(member.toString())) {
+      throw new Error('Member is outside your hierarchy');
+    }
+    scope = new Set([member.toString()]);
+  }
+
+  return scope;
+};
+
+const searchTransactions = async ({
+  callerId,
+  global = false,
+  member,
+  agent,
+  type,
+  direction,
+  provider,
+  roundId,
+  minAmount,
+  maxAmount,
+  from,
+  to,
+  adjustedBy,
+  q,
+  sort = 'createdAt',
+  order = 'desc',
+  cursor,
+  limit = 50
+}) => {
+  const scope = await resolveUserScope({ callerId, global, agent, member });
+
+  const filter = {};
+  if (scope) {
+    filter.user = { $in: [...scope].map(id => new mongoose.Types.ObjectId(id)) };
+  }
+  if (type) filter.type = type;
+  if (direction) filter.direction = direction;
+  if (provider) filter.provider = provider;
+  if (roundId) filter.roundId = roundId;
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    filter.amount = {};
+    if (minAmount !== undefined) filter.amount.$gte = toMinor(minAmount);
+    if (maxAmount !== undefined) filter.amount.$lte = toMinor(maxAmount);
+  }
+  const createdAt = dateRangeFilter(from, to);
+  if (createdAt) filter.createdAt = createdAt;
+  if (adjustedBy) filter.adjustedBy = adjustedBy;
+  if (q) filter.description = { $regex: escapeRegex(q), $options: 'i' };
+
+  const sortOrder = order === 'asc' ? 1 : -1;
+  const conditions = [filter];
+
+  if (cursor) {
+    const position = decodeCursor(cursor, sort);
+    if (!position) {
+      throw new Error('Invalid cursor');
+    }
+    const op = sortOrder === 1 ? '$gt' : '$lt';
+    // Amounts are stored in minor units and range filters are not converted.
+    const bound = sort === 'amount' ? toMinor(position.value) : position.value;
+    conditions.push({
+      $or: [
+        { [sort]: { [op]: bound } },
+        { [sort]: position.value, _id: { [op]: position.id } }
+      ]
+    });
+  }
+
+  const rows = await Transaction.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ [sort]: sortOrder, _id: sortOrder })
+    .limit(limit + 1)
+    .populate('user', 'username role')
+    .populate('adjustedBy', 'username')
+    .select('-__v');
+
+  const hasMore = rows.length > limit;
+  const transactions = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    transactions,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1], sort) : null
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  searchTransactions
+};
\ No newline at end of file
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { calculateCommission, clawbackCommission } = require('./commissionService');
+const runInTransaction = require('../utils/runInTransaction');
+const stableStringify = require('../utils/stableStringify');
+const { formatAmount, toMinor } = require('../utils/money');
+
+// Outcomes that depend only on the request and the player's state. They are
+// recorded so a retry gets the same answer instead of being re-evaluated.
+const RECORDED_REJECTIONS = ['Insufficient credit', 'Player account is'];
+
+const hashRequest = (fields) => crypto.createHash('sha256').update(stableStringify(fields)).digest('hex');
+
+const findPlayer = async (playerId, session) => {
+  if (!mongoose.isValidObjectId(playerId)) {
+    throw new Error('Player not found');
+  }
+  const player = await User.findOne({ _id: playerId, role: 'member' }).session(session || null);
+  if (!player) {
+    throw new Error('Player not found');
+  }
+  return player;
+};
+
+// Providers are shown what the player can stake: funds reserved for pending
+// withdrawals are not part of it.
+const getBalance = async ({ playerId }) => {
+  const player = await findPlayer(playerId);
+  if (player.status !== 'active') {
+    throw new Error(`Player account is ${player.status}`);
+  }
+  return { player, balance: player.availableCredit };
+};
+
+const replay = async (existing, hash, session) => {
+  if (existing.requestHash !== hash) {
+    throw new Error('Transaction ID was already used for a different request');
+  }
+  if (existing.status === 'rejected') {
+    throw new Error(existing.error);
+  }
+
+  const player = await User.findById(existing.player).session(session);
+  return { record: existing, balance: player.availableCredit, replayed: true };
+};
+
+// Runs one balance-changing call exactly once per provider transaction ID.
+// `apply` makes the ledger change and returns the Transaction it wrote, or
+// nothing when the call is accepted without moving money.
+const processCall = async (call, apply) => {
+  const { provider, action, playerId, roundId, transactionId, amount, gameId, reference } = call;
+  const hash = hashRequest({ action, playerId, roundId, amount, reference });
+
+  const attempt = () => runInTransaction(async (session) => {
+    const existing = await WalletTransaction.findOne({ provider, transactionId }).session(session);
+    if (existing) {
+      return replay(existing, hash, session);
+    }
+
+    const player = await findPlayer(playerId, session);
+    const transaction = await apply({ player, session });
+
+    const [record] = await WalletTransaction.create([{
+      provider,
+      transactionId,
+      roundId,
+      action,
+      player: player._id,
+      amount,
+      gameId,
+      reference,
+      requestHash: hash,
+      status: 'completed',
+      ledgerTransaction: transaction?._id,
+      balance: player.availableCredit
+    }], { session });
+
+    return { record, transaction, balance: player.availableCredit, replayed: false };
+  });
+
+  try {
+    return await attempt();
+  } catch (err) {
+    // Another request with the same transaction ID committed first; running
+    // again replays its outcome.
+    if (err.code === 11000) {
+      return attempt();
+    }
+
+    if (RECORDED_REJECTIONS.some(prefix => err.message.startsWith(prefix)) && mongoose.isValidObjectId(playerId)) {
+      await WalletTransaction.create({
+        provider,
+        transactionId,
+        roundId,
+        action,
+        player: playerId,
+        amount,
+        gameId,
+        reference,
+        requestHash: hash,
+        status: 'rejected',
+        error: err.message
+      }).catch(recordErr => {
+        if (recordErr.code !== 11000) {
+          console.error('❌ Could not record rejected wallet call:', recordErr);
+        }
+      });
+    }
+    throw err;
+  }
+};
+
+const placeBet = (call) => processCall({ ...call, action: 'bet' }, async ({ player, session }) => {
+  if (player.status !== 'active') {
+    throw new Error(`Player account is ${player.status}`);
+  }
+
+  const { transaction } = await player.updateCredit(
+    call.amount,
+    'deduct',
+    undefined,
+    `Bet ${call.roundId} (${call.provider}): ${formatAmount(call.amount)}`,
+    { session, transactionType: 'bet', provider: call.provider, roundId: call.roundId, externalId: call.transactionId }
+  );
+
+  if (player.parent) {
+    await calculateCommission({
+      agentId: player.parent,
+      transaction,
+      memberId: player._id,
+      description: `Commission from bet ${call.roundId} (${call.provider})`,
+      session
+    });
+  }
+
+  return transaction;
+});
+
+// Rounds that end in a loss are often closed with a zero win, which is
+// accepted and recorded but does not touch the ledger.
+const settleWin = (call) => processCall({ ...call, action: 'win' }, async ({ player, session }) => {
+  if (call.amount === 0) return null;
+
+  const { transaction } = await player.updateCredit(
+    call.amount,
+    'add',
+    undefined,
+    `Win ${call.roundId} (${call.provider}): ${formatAmount(call.amount)}`,
+    { session, transactionType: 'win', provider: call.provider, roundId: call.roundId, externalId: call.transactionId }
+  );
+
+  return transaction;
+});
+
+// Undoes an earlier bet or win. A reversed bet also claws back the commission
+// it earned. A reference we never saw (the original call never reached us) is
+// accepted without a balance change, as providers expect.
+const reverse = async ({ call, player, session, actions, transactionType }) => {
+  const original = await WalletTransaction.findOne({
+    provider: call.provider,
+    transactionId: call.reference,
+    action: { $in: actions }
+  }).session(session);
+
+  if (!original || original.status !== 'completed') {
+    return null;
+  }
+  if (!original.player.equals(player._id)) {
+    throw new Error('Referenced transaction belongs to another player');
+  }
+  if (original.reversedBy) {
+    throw new Error(`Referenced transaction was already reversed by ${original.reversedBy}`);
+  }
+  if (call.amount !== undefined && toMinor(call.amount) !== toMinor(original.amount)) {
+    throw new Error('Amount does not match the referenced transaction');
+  }
+
+  let transaction = null;
+  if (original.ledgerTransaction) {
+    const label = transactionType === 'refund' ? 'Refund' : 'Rollback';
+    const result = await player.updateCredit(
+      original.amount,
+      original.action === 'bet' ? 'add' : 'deduct',
+      undefined,
+      `${label} of ${original.action} ${original.transactionId} (${call.provider}): ${formatAmount(original.amount)}`,
+      {
+        session,
+        transactionType,
+        relatedTransaction: original.ledgerTransaction,
+        provider: call.provider,
+        roundId: call.roundId,
+        externalId: call.transactionId
+      }
+    );
+    transaction = result.transaction;
+
+    if (original.action === 'bet') {
+      await clawbackCommission({
+        transactionIds: [original.ledgerTransaction],
+        description: `Commission clawback for ${label.toLowerCase()} of bet ${original.roundId} (${call.provider})`,
+        session
+      });
+    }
+  }
+
+  original.reversedBy = call.transactionId;
+  await original.save({ session });
+
+  return transaction;
+};
+
+const refundBet = (call) => processCall({ ...call, action: 'refund' }, ({ player, session }) =>
+  reverse({ call, player, session, actions: ['bet'], transactionType: 'refund' }));
+
+const rollback = (call) => processCall({ ...call, action: 'rollback' }, ({ player, session }) =>
+  reverse({ call, player, session, actions: ['bet', 'win'], transactionType: 'rollback' }));
+
+module.exports = {
+  getBalance,
+  placeBet,
+  settleWin,
+  refundBet,
+  rollback
+};
\ No newline at end of file
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OutboxEvent = require('../models/OutboxEvent');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { TEST_EVENT } = require('../config/webhookEvents');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS, 10) || 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const FAN_OUT_BATCH = 500;
+const DELIVERY_BATCH = 10;
+const RUN_BUDGET_MS = 45 * 1000;
+const MAX_LOGGED_ATTEMPTS = 20;
+const MAX_RESPONSE_BODY = 500;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers recompute the hex HMAC-SHA256 of `${X-Webhook-Timestamp}.${body}`
+// with the subscription secret and compare it to X-Webhook-Signature.
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const backoff = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+const buildPayload = (event) => ({
+  id: event._id,
+  type: event.type,
+  createdAt: event.createdAt,
+  data: event.data
+});
+
+// Copies pending outbox events into one delivery per matching subscription.
+// The unique index on (subscription, event) makes a fan-out that is repeated
+// after a crash harmless.
+const fanOut = async () => {
+  const stats = { events: 0, deliveries: 0 };
+  const subscriptions = await WebhookSubscription.find({ active: true }).select('events').lean();
+
+  for (;;) {
+    const batch = await OutboxEvent.find({ status: 'pending' }).sort({ _id: 1 }).limit(FAN_OUT_BATCH).lean();
+    if (batch.length === 0) break;
+
+    const deliveries = [];
+    batch.forEach(event => {
+      subscriptions
+        .filter(subscription => subscription.events.includes(event.type))
+        .forEach(subscription => deliveries.push({
+          subscription: subscription._id,
+          event: event._id,
+          eventType: event.type,
+          payload: buildPayload(event)
+        }));
+    });
+
+    if (deliveries.length > 0) {
+      try {
+        const inserted = await WebhookDelivery.insertMany(deliveries, { ordered: false });
+        stats.deliveries += inserted.length;
+      } catch (err) {
+        if (!err.writeErrors?.every(writeError => writeError.code === 11000)) throw err;
+        stats.deliveries += err.insertedDocs?.length || 0;
+      }
+    }
+
+    await OutboxEvent.updateMany(
+      { _id: { $in: batch.map(event => event._id) } },
+      { status: 'dispatched', dispatchedAt: new Date() }
+    );
+    stats.events += batch.length;
+  }
+
+  return stats;
+};
+
+// Sends one delivery and records the outcome. The update is conditional on
+// the attempt count, so an attempt that races a redelivery is not recorded
+// over it.
+const attemptDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const entry = { at: new Date() };
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'casino-backoffice-webhooks',
+        'X-Webhook-Id': delivery.event.toString(),
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(subscription.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    entry.statusCode = response.status;
+    entry.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    if (!response.ok) {
+      entry.error = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (err) {
+    entry.error = err.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS} ms` : err.cause?.message || err.message;
+  }
+  entry.durationMs = Date.now() - entry.at.getTime();
+
+  const attempts = delivery.attempts + 1;
+  const $set = { attempts, lastAttemptAt: entry.at };
+  const $unset = {};
+  let outcome;
+
+  if (entry.statusCode) $set.lastStatusCode = entry.statusCode;
+  else $unset.lastStatusCode = 1;
+
+  if (!entry.error) {
+    outcome = 'succeeded';
+    Object.assign($set, { status: 'succeeded', deliveredAt: entry.at });
+    $unset.lastError = 1;
+  } else if (attempts >= MAX_ATTEMPTS) {
+    outcome = 'failed';
+    Object.assign($set, { status: 'failed', lastError: entry.error });
+  } else {
+    outcome = 'retrying';
+    Object.assign($set, { nextAttemptAt: new Date(Date.now() + backoff(attempts)), lastError: entry.error });
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id, attempts: delivery.attempts },
+    {
+      $set,
+      ...(Object.keys($unset).length > 0 && { $unset }),
+      $push: { log: { $each: [entry], $slice: -MAX_LOGGED_ATTEMPTS } }
+    }
+  );
+
+  return outcome;
+};
+
+// Deliveries of a paused subscription stay pending and go out once it is
+// active again.
+const deliverDue = async (deadline) => {
+  const stats = { succeeded: 0, retrying: 0, failed: 0 };
+
+  while (Date.now() < deadline) {
+    const subscriptions = await WebhookSubscription.find({ active: true }).select('+secret url').lean();
+    if (subscriptions.length === 0) break;
+    const byId = new Map(subscriptions.map(subscription => [subscription._id.toString(), subscription]));
+
+    const due = await WebhookDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() },
+      subscription: { $in: subscriptions.map(subscription => subscription._id) }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(DELIVERY_BATCH)
+      .lean();
+    if (due.length === 0) break;
+
+    const outcomes = await Promise.all(
+      due.map(delivery => attemptDelivery(delivery, byId.get(delivery.subscription.toString())))
+    );
+    outcomes.forEach(outcome => stats[outcome]++);
+  }
+
+  return stats;
+};
+
+const dispatchWebhooks = async () => {
+  const deadline = Date.now() + RUN_BUDGET_MS;
+  const fannedOut = await fanOut();
+  const delivered = await deliverDue(deadline);
+  return { ...fannedOut, ...delivered };
+};
+
+const findActiveSubscription = async (subscriptionId) => {
+  const subscription = await WebhookSubscription.findById(subscriptionId).select('+secret');
+  if (!subscription) {
+    throw new Error('Webhook subscription not found');
+  }
+  if (!subscription.active) {
+    throw new Error('Webhook subscription is paused');
+  }
+  return subscription;
+};
+
+// Both send straight away. The delivery is first pushed back by a retry
+// interval so the dispatcher does not pick it up at the same time.
+const redeliverWebhook = async ({ subscriptionId, deliveryId, redeliveredBy }) => {
+  const subscription = await findActiveSubscription(subscriptionId);
+
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, subscription: subscription._id },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(Date.now() + backoff(1)),
+        redeliveredBy,
+        redeliveredAt: new Date()
+      },
+      $unset: { deliveredAt: 1 }
+    },
+    { new: true }
+  ).lean();
+  if (!delivery) {
+    throw new Error('Webhook delivery not found');
+  }
+
+  await attemptDelivery(delivery, subscription);
+  return WebhookDelivery.findById(delivery._id);
+};
+
+const sendTestWebhook = async ({ subscriptionId, requestedBy }) => {
+  const subscription = await findActiveSubscription(subscriptionId);
+  const event = new mongoose.Types.ObjectId();
+
+  const delivery = await WebhookDelivery.create({
+    subscription: subscription._id,
+    event,
+    eventType: TEST_EVENT,
+    payload: buildPayload({
+      _id: event,
+      type: TEST_EVENT,
+      createdAt: new Date(),
+      data: { subscription: subscription._id, requestedBy }
+    }),
+    nextAttemptAt: new Date(Date.now() + backoff(1))
+  });
+
+  await attemptDelivery(delivery.toObject(), subscription);
+  return WebhookDelivery.findById(delivery._id);
+};
+
+module.exports = {
+  generateSecret,
+  sign,
+  dispatchWebhooks,
+  redeliverWebhook,
+  sendTestWebhook
+};
\ No newline at end of file
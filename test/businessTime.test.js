@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The business timezone is read once at load, so each zone gets its own copy
+// of the module.
+const loadInZone = (zone) => {
+  const path = require.resolve('../utils/businessTime');
+  const previous = process.env.BUSINESS_TIMEZONE;
+  delete require.cache[path];
+  process.env.BUSINESS_TIMEZONE = zone;
+  try {
+    return require(path);
+  } finally {
+    delete require.cache[path];
+    if (previous === undefined) delete process.env.BUSINESS_TIMEZONE;
+    else process.env.BUSINESS_TIMEZONE = previous;
+  }
+};
+
+const bangkok = loadInZone('Asia/Bangkok');
+const london = loadInZone('Europe/London');
+
+const hours = ({ start, end }) => (end - start) / (60 * 60 * 1000);
+
+describe('business days', () => {
+  it('switches day at business midnight rather than UTC midnight', () => {
+    assert.equal(bangkok.toDateKey(new Date('2026-03-01T16:59:59.999Z')), '2026-03-01');
+    assert.equal(bangkok.toDateKey(new Date('2026-03-01T17:00:00Z')), '2026-03-02');
+    assert.equal(bangkok.fromDateKey('2026-03-02').toISOString(), '2026-03-01T17:00:00.000Z');
+  });
+
+  it('gives each day exactly the instants between two business midnights', () => {
+    const range = bangkok.dayRange('2026-12-31');
+
+    assert.equal(range.start.toISOString(), '2026-12-30T17:00:00.000Z');
+    assert.equal(range.end.toISOString(), '2026-12-31T17:00:00.000Z');
+    assert.equal(bangkok.toDateKey(new Date(range.end - 1)), '2026-12-31');
+    assert.equal(bangkok.toDateKey(range.end), '2027-01-01');
+  });
+
+  it('follows daylight saving changes', () => {
+    const springForward = london.dayRange('2026-03-29');
+    const fallBack = london.dayRange('2026-10-25');
+
+    assert.equal(springForward.start.toISOString(), '2026-03-29T00:00:00.000Z');
+    assert.equal(hours(springForward), 23);
+    assert.equal(fallBack.start.toISOString(), '2026-10-24T23:00:00.000Z');
+    assert.equal(hours(fallBack), 25);
+    assert.equal(hours(london.dayRange('2026-07-01')), 24);
+  });
+
+  it('passes date keys through unchanged', () => {
+    assert.equal(london.toDateKey('2026-10-25'), '2026-10-25');
+    assert.equal(london.isDateKey('2026-10-25T00:00:00Z'), false);
+  });
+});
+
+describe('calendar arithmetic', () => {
+  it('crosses month, year and leap-day boundaries', () => {
+    assert.equal(bangkok.addDays('2026-12-31', 1), '2027-01-01');
+    assert.equal(bangkok.addDays('2024-03-01', -1), '2024-02-29');
+    assert.equal(bangkok.addMonths('2026-12-01', 1), '2027-01-01');
+  });
+
+  it('lands on the first of the month when adding months', () => {
+    assert.equal(bangkok.addMonths('2026-01-31', 1), '2026-02-01');
+  });
+
+  it('numbers weekdays from Monday', () => {
+    assert.equal(bangkok.isoWeekday('2026-10-12'), 0);
+    assert.equal(bangkok.isoWeekday('2026-10-18'), 6);
+  });
+});
+
+describe('toWallClock', () => {
+  it('shifts an instant so its UTC fields read business-local time', () => {
+    assert.equal(bangkok.toWallClock(new Date('2026-03-01T17:30:00Z')).toISOString(), '2026-03-02T00:30:00.000Z');
+    assert.equal(london.toWallClock(new Date('2026-07-01T12:00:00Z')).toISOString(), '2026-07-01T13:00:00.000Z');
+  });
+});
\ No newline at end of file
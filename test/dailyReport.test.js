@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BUSINESS_TIMEZONE = 'Asia/Bangkok';
+
+const DailyReport = require('../models/DailyReport');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const CommissionEntry = require('../models/CommissionEntry');
+const { generateDailyReport } = require('../services/reportService');
+
+let previousReport;
+let movement;
+let saved;
+let fullScans;
+
+// Stands in for a query or aggregate: chainable, and awaitable for `result`.
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => query,
+    hint: () => query,
+    allowDiskUse: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+// One member row per parent, as aggregateMemberMovement returns them.
+const movementRow = (fundedDelta) => ({ _id: null, added: 0, deducted: 0, transactions: 2, activeMembers: 2, fundedDelta });
+
+beforeEach(() => {
+  previousReport = null;
+  movement = [];
+  saved = null;
+  fullScans = 0;
+
+  mock.method(console, 'log', () => {});
+  mock.method(Transaction, 'aggregate', (pipeline) => {
+    if (pipeline[0].$match.createdAt.$gte) return chain(movement);
+    fullScans += 1;
+    return chain([{ active: 7 }]);
+  });
+  mock.method(User, 'aggregate', () => chain([]));
+  mock.method(User, 'find', () => chain([]));
+  mock.method(CommissionEntry, 'aggregate', async () => []);
+  mock.method(DailyReport, 'findOne', () => chain(previousReport));
+  mock.method(DailyReport, 'findOneAndUpdate', async (filter, update) => {
+    saved = update;
+    return update;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('generateDailyReport', () => {
+  it('carries the funded member count forward from the previous day', async () => {
+    previousReport = { activeMembers: 40 };
+    movement = [movementRow(3), movementRow(-1)];
+
+    await generateDailyReport('2026-03-02');
+
+    assert.equal(saved.activeMembers, 42);
+    assert.equal(fullScans, 0);
+    assert.equal(DailyReport.findOne.mock.calls[0].arguments[0].date.toISOString(), '2026-02-28T17:00:00.000Z');
+  });
+
+  it('seeds the count from the whole ledger when the previous day has no report', async () => {
+    movement = [movementRow(3)];
+
+    await generateDailyReport('2026-03-02');
+
+    assert.equal(saved.activeMembers, 7);
+    assert.equal(fullScans, 1);
+  });
+});
\ No newline at end of file
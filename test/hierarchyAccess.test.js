@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { checkHierarchyAccess } = require('../middleware/auth');
+const { invalidateRoleCache } = require('../services/permissionService');
+const { installMemoryModels } = require('./support/memoryModels');
+
+let db;
+
+const createUser = (fields) => User.create({ password: 'secret1', ...fields });
+
+// Follows parent links through the store, as the $graphLookup would.
+const ancestorsOf = (id) => {
+  const ancestors = [];
+  let current = db.stored(User, { _id: id })[0];
+  while (current?.parent) {
+    ancestors.push(current.parent);
+    current = db.stored(User, { _id: current.parent })[0];
+  }
+  return ancestors;
+};
+
+const check = async (caller, targetId) => {
+  const req = { user: { id: caller._id.toString(), role: caller.role }, params: { id: String(targetId) } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  const next = mock.fn();
+  await checkHierarchyAccess()(req, res, next);
+  return { allowed: next.mock.callCount() === 1, status: res.statusCode };
+};
+
+// masteragent ─┬─ agent1 ── member1
+//              └─ agent2 ── member2
+const buildTree = async () => {
+  const master = await createUser({ username: 'master', role: 'masteragent', agentCode: 'MA0001' });
+  const agent1 = await createUser({ username: 'agent1', role: 'agent', parent: master._id, agentCode: 'AG0001' });
+  const agent2 = await createUser({ username: 'agent2', role: 'agent', parent: master._id, agentCode: 'AG0002' });
+  const member1 = await createUser({ username: 'member1', role: 'member', parent: agent1._id });
+  const member2 = await createUser({ username: 'member2', role: 'member', parent: agent2._id });
+  return { master, agent1, agent2, member1, member2 };
+};
+
+beforeEach(() => {
+  invalidateRoleCache();
+  db = installMemoryModels([User, Role]);
+  mock.method(User, 'aggregate', async ([{ $match }]) => [{ ancestors: ancestorsOf($match._id) }]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('checkHierarchyAccess', () => {
+  it('lets an agent reach its own members', async () => {
+    const { agent1, member1 } = await buildTree();
+
+    assert.deepEqual(await check(agent1, member1._id), { allowed: true, status: 200 });
+  });
+
+  it('lets an agent reach members further down its subtree', async () => {
+    const { master, member2 } = await buildTree();
+
+    assert.equal((await check(master, member2._id)).allowed, true);
+  });
+
+  it('refuses members under another agent', async () => {
+    const { agent1, member2 } = await buildTree();
+
+    assert.deepEqual(await check(agent1, member2._id), { allowed: false, status: 403 });
+  });
+
+  it('refuses an agent access to its own parent', async () => {
+    const { master, agent1 } = await buildTree();
+
+    assert.equal((await check(agent1, master._id)).status, 403);
+  });
+
+  it('refuses members even for accounts below them', async () => {
+    const { member1 } = await buildTree();
+    const nested = await createUser({ username: 'nested', role: 'member', parent: member1._id });
+
+    assert.equal((await check(member1, nested._id)).status, 403);
+  });
+
+  it('lets staff with the global scope reach any account', async () => {
+    const { member2 } = await buildTree();
+    const support = await createUser({ username: 'support', role: 'staff', staffRole: 'support' });
+    const auditor = await createUser({
+      username: 'auditor',
+      role: 'staff',
+      staffRole: 'support',
+      permissionOverrides: { grant: ['scope.global'] }
+    });
+
+    assert.equal((await check(support, member2._id)).status, 403);
+    assert.equal((await check(auditor, member2._id)).allowed, true);
+  });
+
+  it('rejects malformed ids before looking anything up', async () => {
+    const { agent1 } = await buildTree();
+
+    assert.deepEqual(await check(agent1, 'not-an-id'), { allowed: false, status: 400 });
+  });
+});
\ No newline at end of file
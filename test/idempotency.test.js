@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('../middleware/idempotency');
+
+let keys;
+let server;
+let baseUrl;
+let calls;
+let respond;
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Keys live in a map indexed like the unique { user, key } index.
+const installKeyStore = () => {
+  keys = new Map();
+  const find = (filter) => [...keys.values()].find(doc => (filter._id
+    ? doc._id === filter._id
+    : doc.user === filter.user && doc.key === filter.key));
+
+  mock.method(IdempotencyKey, 'create', async (doc) => {
+    const id = `${doc.user}:${doc.key}`;
+    if (keys.has(id)) throw duplicateKey();
+    keys.set(id, { _id: id, status: 'processing', ...doc });
+  });
+  mock.method(IdempotencyKey, 'findOne', async (filter) => find(filter) || null);
+  mock.method(IdempotencyKey, 'updateOne', async (filter, changes) => {
+    const doc = find(filter);
+    const stale = filter.leaseExpiresAt && !(doc?.leaseExpiresAt <= filter.leaseExpiresAt.$lte);
+    if (!doc || (filter.status && doc.status !== filter.status) || stale) return { modifiedCount: 0 };
+    Object.assign(doc, changes);
+    return { modifiedCount: 1 };
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+    const doc = find(filter);
+    if (doc) keys.delete(doc._id);
+  });
+};
+
+const request = (body, { key = 'key-1', signal } = {}) => fetch(`${baseUrl}/credit`, {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+  body: JSON.stringify(body),
+  signal
+});
+
+const storedKey = (key = 'key-1') => keys.get(`user-1:${key}`);
+
+beforeEach(async () => {
+  mock.method(console, 'error', () => {});
+  installKeyStore();
+  calls = 0;
+  respond = (req, res) => res.json({ credit: req.body.amount });
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  });
+  app.put('/credit', idempotency, (req, res) => {
+    calls += 1;
+    return respond(req, res);
+  });
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  mock.restoreAll();
+});
+
+describe('idempotency', () => {
+  it('replays a successful response without running the handler again', async () => {
+    const first = await request({ amount: 30 });
+    const second = await request({ amount: 30 });
+
+    assert.equal(calls, 1);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await second.json(), await first.json());
+    assert.equal(storedKey().status, 'completed');
+  });
+
+  it('refuses the same key with a different request', async () => {
+    await request({ amount: 30 });
+    const reused = await request({ amount: 31 });
+
+    assert.equal(reused.status, 409);
+    assert.equal(calls, 1);
+  });
+
+  it('releases the key after a refusal so a retry runs again', async () => {
+    respond = (req, res) => res.status(400).json({ error: 'Insufficient agent float' });
+    const refused = await request({ amount: 30 });
+    assert.equal(refused.status, 400);
+    assert.equal(storedKey(), undefined);
+
+    respond = (req, res) => res.json({ credit: req.body.amount });
+    const retried = await request({ amount: 30 });
+
+    assert.equal(retried.status, 200);
+    assert.equal(calls, 2);
+  });
+
+  it('keeps server errors and replays them instead of running again', async () => {
+    respond = (req, res) => res.status(500).json({ error: 'Server error while adjusting credit' });
+    await request({ amount: 30 });
+
+    const retried = await request({ amount: 30 });
+
+    assert.equal(retried.status, 500);
+    assert.equal(retried.headers.get('idempotent-replayed'), 'true');
+    assert.equal(calls, 1);
+  });
+
+  it('holds the key while a request whose client left is still running', async () => {
+    let finish;
+    respond = (req, res) => {
+      finish = () => res.json({ credit: req.body.amount });
+    };
+    const abort = new AbortController();
+    const abandoned = request({ amount: 30 }, { signal: abort.signal });
+    while (!finish) await new Promise(resolve => setImmediate(resolve));
+    abort.abort();
+    await assert.rejects(abandoned);
+
+    const retried = await request({ amount: 30 });
+    assert.equal(retried.status, 409);
+    assert.equal(storedKey().status, 'processing');
+
+    finish();
+    while (storedKey().status !== 'completed') await new Promise(resolve => setImmediate(resolve));
+    const replayed = await request({ amount: 30 });
+    assert.equal(replayed.headers.get('idempotent-replayed'), 'true');
+    assert.equal(calls, 1);
+  });
+
+  it('lets a retry take over a key whose lease has run out', async () => {
+    respond = () => {};
+    const abort = new AbortController();
+    const abandoned = request({ amount: 30 }, { signal: abort.signal });
+    while (!storedKey()) await new Promise(resolve => setImmediate(resolve));
+    abort.abort();
+    await assert.rejects(abandoned);
+    storedKey().leaseExpiresAt = new Date(Date.now() - 1000);
+
+    respond = (req, res) => res.json({ credit: req.body.amount });
+    const retried = await request({ amount: 30 });
+
+    assert.equal(retried.status, 200);
+    assert.equal(calls, 2);
+  });
+
+  it('answers 500 when the existing key cannot be read', async () => {
+    await request({ amount: 30 });
+    IdempotencyKey.findOne.mock.mockImplementation(async () => {
+      throw new Error('connection lost');
+    });
+
+    const retried = await request({ amount: 30 });
+
+    assert.equal(retried.status, 500);
+    assert.equal(calls, 1);
+  });
+});
\ No newline at end of file
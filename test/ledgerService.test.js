@@ -0,0 +1,258 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const CreditRequest = require('../models/CreditRequest');
+const CommissionEntry = require('../models/CommissionEntry');
+const OutboxEvent = require('../models/OutboxEvent');
+const { adjustMemberCredit, adjustAgentFloat, moveMember, reverseTransaction } = require('../services/ledgerService');
+const { installMemoryModels } = require('./support/memoryModels');
+
+let db;
+
+const createUser = (fields) => User.create({ password: 'secret1', ...fields });
+
+const setup = async ({ agentFloat = 100, memberCredit = 0 } = {}) => {
+  const agent = await createUser({ username: 'agent1', role: 'agent', credit: agentFloat, agentCode: 'AG0001' });
+  const member = await createUser({ username: 'member1', role: 'member', parent: agent._id, credit: memberCredit });
+  return { agent, member };
+};
+
+const balance = (user) => db.load(User, user._id).credit;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  db = installMemoryModels([User, Transaction, CreditRequest, CommissionEntry, OutboxEvent]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('adjustMemberCredit', () => {
+  it('moves a top-up from the agent float and links both legs', async () => {
+    const { agent, member } = await setup();
+
+    const result = await adjustMemberCredit({ memberId: member._id, amount: 30, type: 'add', adjustedBy: agent._id });
+
+    assert.equal(balance(member), 30);
+    assert.equal(balance(agent), 70);
+
+    const memberLeg = db.load(Transaction, result.transaction._id);
+    const agentLeg = db.load(Transaction, result.agentTransaction._id);
+    assert.deepEqual(
+      [memberLeg.type, memberLeg.direction, memberLeg.oldCredit, memberLeg.newCredit],
+      ['adjustment', 'credit', 0, 30]
+    );
+    assert.deepEqual(
+      [agentLeg.type, agentLeg.direction, agentLeg.oldCredit, agentLeg.newCredit],
+      ['float_transfer', 'debit', 100, 70]
+    );
+    assert.ok(memberLeg.relatedTransaction.equals(agentLeg._id));
+    assert.ok(agentLeg.relatedTransaction.equals(memberLeg._id));
+    assert.ok(memberLeg.counterparty.equals(agent._id));
+  });
+
+  it('returns a deduction to the agent float', async () => {
+    const { agent, member } = await setup({ agentFloat: 70, memberCredit: 30 });
+
+    await adjustMemberCredit({ memberId: member._id, amount: 12.5, type: 'deduct', adjustedBy: agent._id });
+
+    assert.equal(balance(member), 17.5);
+    assert.equal(balance(agent), 82.5);
+  });
+
+  it('refuses a top-up larger than the agent float and writes nothing', async () => {
+    const { agent, member } = await setup({ agentFloat: 10 });
+
+    await assert.rejects(
+      adjustMemberCredit({ memberId: member._id, amount: 30, type: 'add', adjustedBy: agent._id }),
+      /Insufficient agent float/
+    );
+
+    assert.equal(balance(member), 0);
+    assert.equal(balance(agent), 10);
+    assert.equal(db.stored(Transaction).length, 0);
+  });
+
+  it('refuses a deduction larger than the member balance', async () => {
+    const { agent, member } = await setup({ memberCredit: 5 });
+
+    await assert.rejects(
+      adjustMemberCredit({ memberId: member._id, amount: 5.01, type: 'deduct', adjustedBy: agent._id }),
+      /Insufficient credit/
+    );
+    assert.equal(balance(agent), 100);
+  });
+
+  it('refuses to treat an agent as a member', async () => {
+    const { agent } = await setup();
+    const subAgent = await createUser({ username: 'agent2', role: 'agent', parent: agent._id, credit: 10, agentCode: 'AG0002' });
+
+    await assert.rejects(
+      adjustMemberCredit({ memberId: subAgent._id, amount: 30, type: 'add', adjustedBy: agent._id }),
+      /Member not found/
+    );
+    assert.equal(balance(subAgent), 10);
+    assert.equal(balance(agent), 100);
+  });
+
+  it('lets the agent take credit back from a suspended member only', async () => {
+    const { agent, member } = await setup({ agentFloat: 70, memberCredit: 30 });
+    await User.updateOne({ _id: member._id }, { status: 'suspended' });
+
+    await assert.rejects(
+      adjustMemberCredit({ memberId: member._id, amount: 5, type: 'add', adjustedBy: agent._id }),
+      /Member account is suspended/
+    );
+    await assert.rejects(
+      adjustMemberCredit({ memberId: member._id, amount: 5, type: 'deduct', adjustedBy: agent._id, transactionType: 'withdrawal' }),
+      /Member account is suspended/
+    );
+
+    await adjustMemberCredit({ memberId: member._id, amount: 30, type: 'deduct', adjustedBy: agent._id });
+
+    assert.equal(balance(member), 0);
+    assert.equal(balance(agent), 100);
+  });
+
+  it('keeps balances exact in minor units', async () => {
+    const { agent, member } = await setup();
+
+    await adjustMemberCredit({ memberId: member._id, amount: 0.1, type: 'add', adjustedBy: agent._id });
+    await adjustMemberCredit({ memberId: member._id, amount: 0.2, type: 'add', adjustedBy: agent._id });
+
+    assert.equal(balance(member), 0.3);
+    assert.equal(balance(agent), 99.7);
+    assert.equal(db.stored(User, { _id: member._id })[0].credit, 30);
+  });
+});
+
+describe('adjustAgentFloat', () => {
+  it('refuses to take more than the agent holds', async () => {
+    const { agent } = await setup({ agentFloat: 20 });
+
+    await assert.rejects(
+      adjustAgentFloat({ agentId: agent._id, amount: 25, type: 'deduct', adjustedBy: agent._id }),
+      /Insufficient credit/
+    );
+    assert.equal(balance(agent), 20);
+  });
+});
+
+describe('moveMember', () => {
+  it('moves the float backing the member to the new agent', async () => {
+    const { agent: fromAgent, member } = await setup({ agentFloat: 0, memberCredit: 50 });
+    const toAgent = await createUser({ username: 'agent2', role: 'agent', credit: 80, agentCode: 'AG0002' });
+    await CreditRequest.create({ member: member._id, agent: fromAgent._id, type: 'withdrawal', amount: 10, method: 'cash', expiresAt: new Date() });
+
+    const result = await moveMember({ memberId: member._id, toAgentId: toAgent._id, movedBy: toAgent._id });
+
+    assert.equal(balance(toAgent), 30);
+    assert.equal(balance(fromAgent), 50);
+    assert.equal(balance(member), 50);
+    assert.ok(db.load(User, member._id).parent.equals(toAgent._id));
+    assert.ok(db.load(Transaction, result.toAgentTransaction._id).relatedTransaction.equals(result.fromAgentTransaction._id));
+    assert.ok(db.stored(CreditRequest)[0].agent.equals(toAgent._id));
+  });
+
+  it('refuses when the new agent cannot cover the member balance', async () => {
+    const { agent: fromAgent, member } = await setup({ agentFloat: 0, memberCredit: 50 });
+    const toAgent = await createUser({ username: 'agent2', role: 'agent', credit: 49.99, agentCode: 'AG0002' });
+
+    await assert.rejects(
+      moveMember({ memberId: member._id, toAgentId: toAgent._id, movedBy: toAgent._id }),
+      /Insufficient agent float/
+    );
+    assert.ok(db.load(User, member._id).parent.equals(fromAgent._id));
+    assert.equal(db.stored(Transaction).length, 0);
+  });
+});
+
+describe('reverseTransaction', () => {
+  const topUp = async () => {
+    const { agent, member } = await setup();
+    const { transaction } = await adjustMemberCredit({ memberId: member._id, amount: 40, type: 'add', adjustedBy: agent._id });
+    return { agent, member, transaction };
+  };
+
+  it('reverses both legs of a top-up', async () => {
+    const { agent, member, transaction } = await topUp();
+
+    const result = await reverseTransaction({ transactionId: transaction._id, reversedBy: agent._id, reason: 'Wrong member' });
+
+    assert.equal(balance(member), 0);
+    assert.equal(balance(agent), 100);
+    assert.ok(db.load(Transaction, transaction._id).reversedBy.equals(result.reversal._id));
+    assert.ok(db.load(Transaction, transaction.relatedTransaction).reversedBy.equals(result.counterpartReversal._id));
+    assert.ok(result.reversal.relatedTransaction.equals(result.counterpartReversal._id));
+    assert.equal(result.reversal.type, 'reversal');
+    assert.equal(result.reversal.direction, 'debit');
+  });
+
+  it('refuses to reverse the same transaction twice', async () => {
+    const { agent, transaction } = await topUp();
+    await reverseTransaction({ transactionId: transaction._id, reversedBy: agent._id, reason: 'Wrong member' });
+
+    await assert.rejects(
+      reverseTransaction({ transactionId: transaction._id, reversedBy: agent._id, reason: 'Again' }),
+      /already been reversed/
+    );
+    assert.equal(db.stored(Transaction, { type: 'reversal' }).length, 2);
+  });
+
+  it('lets only one of two concurrent reversals claim the transaction', async () => {
+    const { agent, transaction } = await topUp();
+
+    // Both read the transaction before either claims it, so the second is
+    // stopped by the conditional claim rather than the up-front check.
+    const results = await Promise.allSettled([
+      reverseTransaction({ transactionId: transaction._id, reversedBy: agent._id, reason: 'First' }),
+      reverseTransaction({ transactionId: transaction._id, reversedBy: agent._id, reason: 'Second' })
+    ]);
+
+    const [won] = results.filter(result => result.status === 'fulfilled');
+    const lost = results.filter(result => result.status === 'rejected');
+    assert.equal(lost.length, 1);
+    assert.match(lost[0].reason.message, /already been reversed/);
+    assert.ok(db.load(Transaction, transaction._id).reversedBy.equals(won.value.reversal._id));
+  });
+
+  it('refuses the reversal when another request claims the transaction first', async () => {
+    const { agent, transaction } = await topUp();
+    Transaction.updateOne.mock.mockImplementationOnce(async () => ({ modifiedCount: 0 }));
+
+    await assert.rejects(
+      reverseTransaction({ transactionId: transaction._id, reversedBy: agent._id, reason: 'Wrong member' }),
+      /already been reversed/
+    );
+    assert.equal(db.load(Transaction, transaction._id).reversedBy, undefined);
+  });
+
+  it('refuses to reverse a float leg on its own', async () => {
+    const { agent, transaction } = await topUp();
+
+    await assert.rejects(
+      reverseTransaction({ transactionId: transaction.relatedTransaction, reversedBy: agent._id, reason: 'Float only' }),
+      /reversed together with the member transaction/
+    );
+  });
+
+  it('claws back commission accrued on the reversed entry', async () => {
+    const { agent, member, transaction } = await topUp();
+    const [accrual] = await CommissionEntry.create([{
+      agent: agent._id,
+      member: member._id,
+      sourceTransaction: transaction._id,
+      transactionType: 'adjustment',
+      baseAmount: 40,
+      rate: 0.025,
+      amount: 1
+    }]);
+
+    const result = await reverseTransaction({ transactionId: transaction._id, reversedBy: agent._id, reason: 'Wrong member' });
+
+    assert.equal(result.clawback.amount, -1);
+    assert.equal(result.clawback.kind, 'clawback');
+    assert.ok(db.load(CommissionEntry, accrual._id).clawedBackBy.equals(result.clawback._id));
+    assert.equal(db.stored(OutboxEvent, { type: 'commission.clawed_back' }).length, 1);
+  });
+});
\ No newline at end of file
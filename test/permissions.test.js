@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { requirePermission } = require('../middleware/auth');
+const { can, getEffectivePermissions, invalidateRoleCache } = require('../services/permissionService');
+const { installMemoryModels } = require('./support/memoryModels');
+
+const createUser = (fields) => User.create({ password: 'secret1', ...fields });
+
+const callGuard = async (guard, user) => {
+  const req = { user: { id: user._id.toString(), role: user.role } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  const next = mock.fn();
+  await guard(req, res, next);
+  return { allowed: next.mock.callCount() === 1, status: res.statusCode, body: res.body };
+};
+
+beforeEach(() => {
+  invalidateRoleCache();
+  installMemoryModels([User, Role]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('getEffectivePermissions', () => {
+  it('uses the built-in bundle of the role', async () => {
+    const agent = await createUser({ username: 'agent1', role: 'agent', agentCode: 'AG0001' });
+
+    const permissions = await getEffectivePermissions(agent);
+
+    assert.equal(can(permissions, 'credit.adjust'), true);
+    assert.equal(can(permissions, 'agent.create'), false);
+  });
+
+  it('lets a stored role replace the built-in bundle', async () => {
+    await Role.create({ name: 'agent', permissions: ['member.view'] });
+    const agent = await createUser({ username: 'agent1', role: 'agent', agentCode: 'AG0001' });
+
+    const permissions = await getEffectivePermissions(agent);
+
+    assert.deepEqual([...permissions], ['member.view']);
+  });
+
+  it('gives staff the permissions of their staff role', async () => {
+    await Role.create({ name: 'support', permissions: ['member.view', 'audit.view'] });
+    const staff = await createUser({ username: 'support1', role: 'staff', staffRole: 'support' });
+    const unassigned = await createUser({ username: 'support2', role: 'staff', staffRole: 'finance' });
+
+    assert.equal(can(await getEffectivePermissions(staff), 'audit.view'), true);
+    assert.equal((await getEffectivePermissions(unassigned)).size, 0);
+  });
+
+  it('applies per-user grants and revocations on top of the role', async () => {
+    const agent = await createUser({
+      username: 'agent1',
+      role: 'agent',
+      agentCode: 'AG0001',
+      permissionOverrides: { grant: ['agent.create'], revoke: ['credit.adjust'] }
+    });
+
+    const permissions = await getEffectivePermissions(agent);
+
+    assert.equal(can(permissions, 'agent.create'), true);
+    assert.equal(can(permissions, 'credit.adjust'), false);
+  });
+
+  it('never lets a stored role restrict the superadmin', async () => {
+    await Role.create({ name: 'superadmin', permissions: [] });
+    const admin = await createUser({ username: 'admin', role: 'superadmin' });
+
+    assert.equal(can(await getEffectivePermissions(admin), 'role.manage'), true);
+  });
+});
+
+describe('requirePermission', () => {
+  it('passes callers holding the permission', async () => {
+    const agent = await createUser({ username: 'agent1', role: 'agent', agentCode: 'AG0001' });
+
+    assert.equal((await callGuard(requirePermission('member.view'), agent)).allowed, true);
+  });
+
+  it('refuses callers missing the permission with 403', async () => {
+    const member = await createUser({ username: 'member1', role: 'member' });
+
+    const result = await callGuard(requirePermission('member.view'), member);
+
+    assert.equal(result.allowed, false);
+    assert.equal(result.status, 403);
+    assert.equal(result.body.error, 'Missing permission: member.view');
+  });
+
+  it('passes when any one of several permissions is held', async () => {
+    const agent = await createUser({ username: 'agent1', role: 'agent', agentCode: 'AG0001' });
+
+    const result = await callGuard(requirePermission('transaction.reverse.any', 'transaction.reverse'), agent);
+
+    assert.equal(result.allowed, true);
+  });
+
+  it('refuses accounts that no longer exist', async () => {
+    const ghost = new User({ username: 'ghost', role: 'superadmin' });
+
+    assert.equal((await callGuard(requirePermission('member.view'), ghost)).status, 403);
+  });
+});
\ No newline at end of file
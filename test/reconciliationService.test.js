@@ -0,0 +1,60 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const CreditRequest = require('../models/CreditRequest');
+const CommissionEntry = require('../models/CommissionEntry');
+const OutboxEvent = require('../models/OutboxEvent');
+const LedgerDiscrepancy = require('../models/LedgerDiscrepancy');
+const { adjustMemberCredit } = require('../services/ledgerService');
+const { replayLedger } = require('../services/reconciliationService');
+const { installMemoryModels } = require('./support/memoryModels');
+
+let db;
+
+const fundedMember = async () => {
+  const agent = await User.create({ username: 'agent1', password: 'secret1', role: 'agent', credit: 100, agentCode: 'AG0001' });
+  const member = await User.create({ username: 'member1', password: 'secret1', role: 'member', parent: agent._id });
+  await adjustMemberCredit({ memberId: member._id, amount: 40.1, type: 'add', adjustedBy: agent._id });
+  await adjustMemberCredit({ memberId: member._id, amount: 0.2, type: 'deduct', adjustedBy: agent._id });
+  return { agent, member };
+};
+
+beforeEach(() => {
+  db = installMemoryModels([User, Transaction, CreditRequest, CommissionEntry, OutboxEvent, LedgerDiscrepancy]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('replayLedger', () => {
+  it('rebuilds the stored balance of a consistent ledger', async () => {
+    const { agent, member } = await fundedMember();
+
+    const memberReplay = await replayLedger(member._id);
+    const agentReplay = await replayLedger(agent._id);
+
+    assert.equal(memberReplay.ledgerBalance, 39.9);
+    assert.equal(memberReplay.lastRecordedBalance, 39.9);
+    assert.equal(memberReplay.transactionCount, 2);
+    assert.equal(memberReplay.chainBreaks, 0);
+    assert.equal(memberReplay.amountMismatches, 0);
+    // The agent's float started outside the ledger, so only its movements replay.
+    assert.equal(agentReplay.ledgerBalance, -39.9);
+  });
+
+  it('locates entries whose balances do not add up', async () => {
+    const { member } = await fundedMember();
+    const [, second] = db.stored(Transaction, { user: member._id });
+    second.oldCredit = 4000;
+
+    const replay = await replayLedger(member._id);
+
+    assert.equal(replay.chainBreaks, 1);
+    assert.deepEqual(
+      [replay.chainBreakSamples[0].expected, replay.chainBreakSamples[0].recorded],
+      [40.1, 40]
+    );
+    assert.equal(replay.amountMismatches, 1);
+    assert.equal(replay.ledgerBalance, 39.9);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BUSINESS_TIMEZONE = 'Asia/Bangkok';
+
+const { getIsoWeek, isoWeekStart, isoWeeksInYear, generateWeeklySummary } = require('../services/reportService');
+
+afterEach(() => mock.restoreAll());
+
+describe('getIsoWeek', () => {
+  it('puts early January days in the last week of the previous year', () => {
+    assert.deepEqual(getIsoWeek('2021-01-01'), { year: 2020, week: 53 });
+    assert.deepEqual(getIsoWeek('2027-01-03'), { year: 2026, week: 53 });
+    assert.deepEqual(getIsoWeek('2027-01-04'), { year: 2027, week: 1 });
+  });
+
+  it('puts late December days in week 1 of the next year', () => {
+    assert.deepEqual(getIsoWeek('2024-12-29'), { year: 2024, week: 52 });
+    assert.deepEqual(getIsoWeek('2024-12-30'), { year: 2025, week: 1 });
+  });
+
+  it('takes the business day of an instant, not its UTC day', () => {
+    // Monday 00:30 in Bangkok is still Sunday in UTC.
+    assert.deepEqual(getIsoWeek(new Date('2024-12-29T17:30:00Z')), { year: 2025, week: 1 });
+    assert.deepEqual(getIsoWeek(new Date('2024-12-29T16:30:00Z')), { year: 2024, week: 52 });
+  });
+});
+
+describe('isoWeekStart', () => {
+  it('starts every week on a Monday, crossing year ends', () => {
+    assert.equal(isoWeekStart(2025, 1), '2024-12-30');
+    assert.equal(isoWeekStart(2020, 53), '2020-12-28');
+    assert.equal(isoWeekStart(2026, 1), '2025-12-29');
+    assert.equal(isoWeekStart(2026, 42), '2026-10-12');
+  });
+});
+
+describe('isoWeeksInYear', () => {
+  it('counts 53 weeks only in long years', () => {
+    assert.equal(isoWeeksInYear(2020), 53);
+    assert.equal(isoWeeksInYear(2021), 52);
+    assert.equal(isoWeeksInYear(2025), 52);
+    assert.equal(isoWeeksInYear(2026), 53);
+  });
+});
+
+describe('generateWeeklySummary', () => {
+  it('refuses week 53 of a 52-week year', async () => {
+    mock.method(console, 'error', () => {});
+
+    await assert.rejects(generateWeeklySummary(2021, 53), /between 1 and 52 for 2021/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createSession, rotateSession, isSessionActive } = require('../services/sessionService');
+const { installMemoryModels } = require('./support/memoryModels');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+let db;
+
+const req = { ip: '127.0.0.1', get: () => 'node-test' };
+
+const login = async (fields = {}) => {
+  const user = await User.create({ username: 'agent1', password: 'secret1', role: 'agent', agentCode: 'AG0001', ...fields });
+  return createSession(user, req);
+};
+
+const sessionOf = (refreshToken) => db.load(Session, refreshToken.split('.')[0]);
+
+beforeEach(() => {
+  db = installMemoryModels([User, Session]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('rotateSession', () => {
+  it('replaces the refresh token and keeps the session', async () => {
+    const { refreshToken } = await login();
+
+    const rotated = await rotateSession(refreshToken, req);
+
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(rotated.refreshToken.split('.')[0], refreshToken.split('.')[0]);
+    assert.equal(rotated.user.username, 'agent1');
+    assert.equal(await isSessionActive(rotated.sessionId), true);
+
+    const again = await rotateSession(rotated.refreshToken, req);
+    assert.equal(String(again.sessionId), String(rotated.sessionId));
+  });
+
+  it('revokes the session when a rotated token is presented again', async () => {
+    const { refreshToken } = await login();
+    const rotated = await rotateSession(refreshToken, req);
+
+    await assert.rejects(rotateSession(refreshToken, req), /Invalid refresh token/);
+
+    const session = sessionOf(refreshToken);
+    assert.equal(session.revokedReason, 'token_reuse');
+    assert.equal(await isSessionActive(session._id), false);
+    // The token issued by the legitimate rotation dies with the session.
+    await assert.rejects(rotateSession(rotated.refreshToken, req), /Invalid refresh token/);
+  });
+
+  it('lets only one of two concurrent rotations of the same token win', async () => {
+    const { refreshToken } = await login();
+
+    const results = await Promise.allSettled([
+      rotateSession(refreshToken, req),
+      rotateSession(refreshToken, req)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  });
+
+  it('refuses tokens of revoked sessions and inactive users', async () => {
+    const { refreshToken } = await login({ status: 'suspended' });
+    await assert.rejects(rotateSession(refreshToken, req), /Invalid refresh token/);
+
+    const other = await createSession(
+      await User.create({ username: 'agent2', password: 'secret1', role: 'agent', agentCode: 'AG0002' }),
+      req
+    );
+    await Session.updateOne({ _id: sessionOf(other.refreshToken)._id }, { revokedAt: new Date() });
+    await assert.rejects(rotateSession(other.refreshToken, req), /Invalid refresh token/);
+  });
+
+  it('refuses malformed tokens', async () => {
+    await assert.rejects(rotateSession('no-secret', req), /Invalid refresh token/);
+    await assert.rejects(rotateSession('not-an-id.secret', req), /Invalid refresh token/);
+    await assert.rejects(rotateSession(undefined, req), /Invalid refresh token/);
+  });
+});
\ No newline at end of file
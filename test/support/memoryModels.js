@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+
+// Replaces the persistence methods of the given models with an in-memory
+// store, so services can be exercised without a MongoDB server. Documents are
+// kept in their stored form (money in minor units) and hydrated on every read,
+// as they would be when loaded from the database. Only the query shapes the
+// services under test use are supported.
+const same = (a, b) => String(a) === String(b);
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  const value = doc[key];
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    if ('$in' in condition) return condition.$in.some(candidate => same(candidate, value));
+    if ('$exists' in condition) return condition.$exists === (value != null);
+  }
+  return same(condition, value);
+});
+
+const installMemoryModels = (models) => {
+  const stores = new Map(models.map(model => [model, new Map()]));
+  let clock = Date.now();
+
+  mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  }));
+
+  models.forEach(model => {
+    const store = stores.get(model);
+    const all = () => [...store.values()];
+    const hydrate = (raw) => (raw ? model.hydrate({ ...raw }) : null);
+
+    // Populated references are read from the store of the referenced model,
+    // which must be installed as well.
+    const populate = (doc, path) => {
+      const ref = models.find(candidate => candidate.modelName === model.schema.path(path)?.options.ref);
+      const raw = ref && doc[path] && stores.get(ref).get(String(doc[path]));
+      if (raw) doc[path] = ref.hydrate({ ...raw });
+      return doc;
+    };
+
+    // `pick` selects the stored documents a query returns; they come back
+    // hydrated unless the query is lean.
+    const query = (pick) => {
+      let lean = false;
+      const populated = [];
+      const read = (raw) => (lean ? { ...raw } : populated.reduce(populate, hydrate(raw)));
+      const chain = {
+        session: () => chain,
+        select: () => chain,
+        sort: () => chain,
+        populate: (path) => {
+          populated.push(path);
+          return chain;
+        },
+        allowDiskUse: () => chain,
+        lean: () => {
+          lean = true;
+          return chain;
+        },
+        cursor: () => ({
+          async *[Symbol.asyncIterator]() {
+            for (const raw of [].concat(pick())) yield read(raw);
+          }
+        }),
+        then: (resolve, reject) => Promise.resolve()
+          .then(() => {
+            const result = pick();
+            return Array.isArray(result) ? result.map(read) : (result ? read(result) : null);
+          })
+          .then(resolve, reject)
+      };
+      return chain;
+    };
+
+    mock.method(model.prototype, 'save', async function() {
+      await this.validate();
+      if (this.isNew && model.schema.path('createdAt')) {
+        this.createdAt = new Date(++clock);
+      }
+      const raw = this.toBSON();
+      Object.keys(raw).forEach(path => {
+        if (this.populated(path)) raw[path] = this.populated(path);
+      });
+      store.set(this._id.toString(), raw);
+      this.isNew = false;
+      return this;
+    });
+
+    mock.method(model, 'findById', (id) => query(() => store.get(String(id))));
+    mock.method(model, 'findOne', (filter) => query(() => all().find(doc => matches(doc, filter))));
+    // In insertion order, which is also createdAt order.
+    mock.method(model, 'find', (filter) => query(() => all().filter(doc => matches(doc, filter))));
+
+    mock.method(model, 'create', async (docs) => {
+      const created = [];
+      for (const data of [].concat(docs)) {
+        created.push(await new model(data).save());
+      }
+      return Array.isArray(docs) ? created : created[0];
+    });
+
+    const update = (filter, changes, many) => {
+      const targets = all().filter(doc => matches(doc, filter));
+      (many ? targets : targets.slice(0, 1)).forEach(doc => Object.assign(doc, changes.$set || changes));
+      return { modifiedCount: many ? targets.length : Math.min(targets.length, 1) };
+    };
+    // Always answers with the updated document, as with { new: true }.
+    mock.method(model, 'findOneAndUpdate', (filter, changes) => query(() => {
+      const target = all().find(doc => matches(doc, filter));
+      if (target) Object.assign(target, changes.$set || changes);
+      return target;
+    }));
+    mock.method(model, 'updateOne', async (filter, changes) => update(filter, changes, false));
+    mock.method(model, 'updateMany', async (filter, changes) => update(filter, changes, true));
+  });
+
+  return {
+    // Stored (raw) documents, optionally filtered.
+    stored: (model, filter) => [...stores.get(model).values()].filter(doc => matches(doc, filter)),
+    load: (model, id) => model.hydrate({ ...stores.get(model).get(String(id)) })
+  };
+};
+
+module.exports = { installMemoryModels };
\ No newline at end of file
@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.WALLET_PROVIDERS = 'acme:acme-secret,other:other-secret';
+process.env.WALLET_SIGNATURE_TOLERANCE_SECONDS = '300';
+
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const WalletTransaction = require('../models/WalletTransaction');
+const CommissionEntry = require('../models/CommissionEntry');
+const OutboxEvent = require('../models/OutboxEvent');
+const { verifyProviderSignature } = require('../middleware/providerAuth');
+const { placeBet, refundBet } = require('../services/walletService');
+const { installMemoryModels } = require('./support/memoryModels');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const sign = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+const callMiddleware = ({ provider = 'acme', secret = 'acme-secret', timestamp = now(), rawBody = '{"playerId":"p1"}', signature } = {}) => {
+  const headers = {
+    'x-provider-code': provider,
+    'x-timestamp': String(timestamp),
+    'x-signature': signature ?? sign(secret, timestamp, rawBody)
+  };
+  const req = { header: (name) => headers[name], rawBody: Buffer.from(rawBody) };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  const next = mock.fn();
+  verifyProviderSignature(req, res, next);
+  return { allowed: next.mock.callCount() === 1, status: res.statusCode, code: res.body?.code, provider: req.provider };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('verifyProviderSignature', () => {
+  it('accepts a request signed with the provider secret', () => {
+    assert.deepEqual(callMiddleware(), { allowed: true, status: 200, code: undefined, provider: 'acme' });
+  });
+
+  it('refuses a body that differs from the signed one', () => {
+    const timestamp = now();
+    const result = callMiddleware({ timestamp, rawBody: '{"playerId":"p2"}', signature: sign('acme-secret', timestamp, '{"playerId":"p1"}') });
+
+    assert.deepEqual([result.status, result.code], [401, 'INVALID_SIGNATURE']);
+  });
+
+  it('refuses a signature made with another provider secret', () => {
+    const result = callMiddleware({ secret: 'other-secret' });
+
+    assert.deepEqual([result.status, result.code], [401, 'INVALID_SIGNATURE']);
+  });
+
+  it('refuses malformed signatures without throwing', () => {
+    assert.equal(callMiddleware({ signature: 'abc' }).code, 'INVALID_SIGNATURE');
+    assert.equal(callMiddleware({ signature: 'zz'.repeat(32) }).code, 'INVALID_SIGNATURE');
+  });
+
+  it('refuses unknown providers', () => {
+    const result = callMiddleware({ provider: 'nobody' });
+
+    assert.deepEqual([result.status, result.code], [401, 'INVALID_PROVIDER']);
+  });
+
+  it('only accepts timestamps inside the allowed window', () => {
+    assert.equal(callMiddleware({ timestamp: now() - 290 }).allowed, true);
+    assert.equal(callMiddleware({ timestamp: now() + 290 }).allowed, true);
+    assert.equal(callMiddleware({ timestamp: now() - 310 }).code, 'INVALID_TIMESTAMP');
+    assert.equal(callMiddleware({ timestamp: now() + 310 }).code, 'INVALID_TIMESTAMP');
+    assert.equal(callMiddleware({ timestamp: 'yesterday' }).code, 'INVALID_TIMESTAMP');
+  });
+});
+
+describe('wallet calls', () => {
+  let db;
+  let player;
+
+  const bet = (fields) => placeBet({ provider: 'acme', playerId: player._id.toString(), roundId: 'r1', transactionId: 't1', amount: 10, ...fields });
+  const balance = () => db.load(User, player._id).credit;
+
+  beforeEach(async () => {
+    db = installMemoryModels([User, Transaction, WalletTransaction, CommissionEntry, OutboxEvent]);
+    player = await User.create({ username: 'member1', password: 'secret1', role: 'member', credit: 100 });
+  });
+
+  it('applies a repeated provider transaction only once', async () => {
+    const first = await bet();
+    const retried = await bet();
+
+    assert.equal(first.replayed, false);
+    assert.equal(retried.replayed, true);
+    assert.equal(String(retried.record._id), String(first.record._id));
+    assert.equal(retried.balance, 90);
+    assert.equal(balance(), 90);
+    assert.equal(db.stored(Transaction).length, 1);
+  });
+
+  it('refuses a provider transaction ID reused for a different call', async () => {
+    await bet();
+
+    await assert.rejects(bet({ amount: 20 }), /already used for a different request/);
+    assert.equal(balance(), 90);
+  });
+
+  it('gives a retried rejection the same answer after the balance changed', async () => {
+    await assert.rejects(bet({ amount: 150 }), /Insufficient credit/);
+    await User.updateOne({ _id: player._id }, { credit: 20000 });
+
+    await assert.rejects(bet({ amount: 150 }), /Insufficient credit/);
+    assert.equal(balance(), 200);
+  });
+
+  it('reverses a bet once, whichever transaction ID asks again', async () => {
+    await bet();
+    const refund = (transactionId) => refundBet({
+      provider: 'acme',
+      playerId: player._id.toString(),
+      roundId: 'r1',
+      transactionId,
+      reference: 't1'
+    });
+
+    await refund('refund-1');
+    const retried = await refund('refund-1');
+
+    assert.equal(retried.replayed, true);
+    await assert.rejects(refund('refund-2'), /already reversed by refund-1/);
+    assert.equal(balance(), 100);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+// Business days are "YYYY-MM-DD" keys in BUSINESS_TIMEZONE. Calendar maths is
+// done on the keys (as UTC dates, which have no DST), and only converted to an
+// instant when querying, so results do not depend on the server's own timezone.
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Bangkok';
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: BUSINESS_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+const zonedParts = (date) => {
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+};
+
+const offsetMs = (date) => {
+  const p = zonedParts(date);
+  const asUTC = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+const isDateKey = (value) => typeof value === 'string' && DATE_KEY_PATTERN.test(value);
+
+const keyToUTC = (key) => {
+  const [, year, month, day] = DATE_KEY_PATTERN.exec(key);
+  return new Date(Date.UTC(+year, +month - 1, +day));
+};
+
+const utcToKey = (date) => date.toISOString().slice(0, 10);
+
+const toDateKey = (value = new Date()) => {
+  if (isDateKey(value)) return value;
+  const p = zonedParts(new Date(value));
+  return `${p.year}-${p.month}-${p.day}`;
+};
+
+// The instant the business day starts (midnight in BUSINESS_TIMEZONE).
+const fromDateKey = (key) => {
+  const utc = keyToUTC(key).getTime();
+  const guess = utc - offsetMs(new Date(utc));
+  return new Date(utc - offsetMs(new Date(guess)));
+};
+
+const addDays = (key, days) => {
+  const date = keyToUTC(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return utcToKey(date);
+};
+
+const addMonths = (key, months) => {
+  const date = keyToUTC(key);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return utcToKey(date);
+};
+
+// 0 = Monday ... 6 = Sunday
+const isoWeekday = (key) => (keyToUTC(key).getUTCDay() + 6) % 7;
+
+const dayRange = (key) => ({ start: fromDateKey(key), end: fromDateKey(addDays(key, 1)) });
+
+// A Date whose UTC fields show business-local wall-clock time, for writers
+// such as ExcelJS that always serialise dates as UTC.
+const toWallClock = (date) => new Date(new Date(date).getTime() + offsetMs(new Date(date)));
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  isDateKey,
+  toDateKey,
+  fromDateKey,
+  addDays,
+  addMonths,
+  isoWeekday,
+  dayRange,
+  keyToUTC,
+  toWallClock
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+// Balances and ledger amounts are stored as integer minor units (satang), so
+// sums and running balances are exact. Application code keeps working in
+// major units: schemas declare such paths with `moneyField`, whose getter and
+// setter convert at the document boundary.
+//
+// Mongoose does not apply them everywhere. Lean queries, aggregation
+// pipelines and change streams return the stored integers, and in filters
+// only equality ($eq, $in, $ne) is converted, not ranges ($gt, $lte, ...);
+// use toMinor/fromMinor there.
+const MINOR_PER_MAJOR = 100;
+
+const toMinor = (amount) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid money amount: ${amount}`);
+  }
+  // Scaling a binary fraction can land just short of the half (1.005 * 100 is
+  // 100.49999...), so the product is trimmed to 15 significant digits first.
+  const scaled = Number((Math.abs(value) * MINOR_PER_MAJOR).toPrecision(15));
+  return Math.sign(value) * Math.round(scaled) || 0;
+};
+
+const fromMinor = (minor) => (minor || 0) / MINOR_PER_MAJOR;
+
+const roundMoney = (amount) => fromMinor(toMinor(amount));
+
+const addMoney = (...amounts) => fromMinor(amounts.reduce((sum, amount) => sum + toMinor(amount), 0));
+
+const subtractMoney = (amount, subtrahend) => fromMinor(toMinor(amount) - toMinor(subtrahend));
+
+// For rates and shares: the product is rounded to the nearest minor unit.
+const multiplyMoney = (amount, factor) => fromMinor(Math.round(toMinor(amount) * factor));
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('th-TH', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+// Values that cannot be read as a number are passed through untouched so
+// Mongoose reports its usual cast error.
+const moneyField = (options = {}) => ({
+  type: Number,
+  get: v => (v == null ? v : fromMinor(v)),
+  set: v => (v == null || !Number.isFinite(Number(v)) ? v : toMinor(v)),
+  ...options
+});
+
+// Schema options that make toJSON()/toObject() return major units.
+const MONEY_SCHEMA_OPTIONS = {
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+};
+
+module.exports = {
+  MINOR_PER_MAJOR,
+  MONEY_SCHEMA_OPTIONS,
+  toMinor,
+  fromMinor,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  multiplyMoney,
+  formatAmount,
+  moneyField
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 5;
+
+const isConcurrencyError = (err) =>
+  err instanceof mongoose.Error.VersionError ||
+  (typeof err.hasErrorLabel === 'function' && err.hasErrorLabel('TransientTransactionError'));
+
+// Runs `work(session)` inside a MongoDB transaction. The callback may be invoked
+// more than once: when a balance was changed by a concurrent request the
+// optimistic version check fails and the whole unit of work is replayed.
+const runInTransaction = async (work) => {
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (err) {
+      if (!isConcurrencyError(err)) throw err;
+      lastError = err;
+      console.warn(`⚠️ Concurrent balance update detected, retrying (${attempt}/${MAX_ATTEMPTS})`);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  throw lastError;
+};
+
+module.exports = runInTransaction;
\ No newline at end of file
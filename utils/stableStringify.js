@@ -0,0 +1,19 @@
+// JSON.stringify with object keys sorted, so equal payloads always produce the
+// same string regardless of key order (used for hashing).
+const stableStringify = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (value && typeof value.toHexString === 'function') {
+    return JSON.stringify(value.toHexString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+module.exports = stableStringify;
\ No newline at end of file